@@ -0,0 +1,80 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+// Export of the chapters WebVTTParser gives in chapters mode to other chapter formats.
+
+(function () {
+  /* Takes the chapters of a parse result, each {title, start, end, children}. Formats without
+     nesting get the top-level chapters. */
+  var WebVTTChapterExporter = function() {
+    function pad(value, length) {
+      return ("" + value).padStart(length, "0")
+    }
+    function xmlEscape(text) {
+      return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+    }
+
+    // A line per chapter such as "1:02:03 Title", which YouTube turns into chapters when the
+    // first one starts at 0:00
+    this.toYouTube = function(chapters) {
+      var hours = chapters.some(function(chapter) { return chapter.start >= 3600 }),
+          result = ""
+      for(var i = 0; i < chapters.length; i++) {
+        var seconds = Math.floor(chapters[i].start),
+            time = Math.floor(seconds / 60) % 60 + ":" + pad(seconds % 60, 2)
+        if(hours)
+          time = Math.floor(seconds / 3600) + ":" + pad(time, 5)
+        result += time + " " + chapters[i].title.replace(/\s+/g, " ") + "\n"
+      }
+      return result
+    }
+
+    // For ffmpeg -i video -i chapters.txt -map_metadata 1, which also works for MP4
+    this.toFFMetadata = function(chapters) {
+      var result = ";FFMETADATA1\n"
+      for(var i = 0; i < chapters.length; i++) {
+        result += "\n[CHAPTER]\nTIMEBASE=1/1000\n"
+          + "START=" + Math.round(chapters[i].start * 1000) + "\n"
+          + "END=" + Math.round(chapters[i].end * 1000) + "\n"
+          + "title=" + chapters[i].title.replace(/[=;#\\\n]/g, "\\$&") + "\n"
+      }
+      return result
+    }
+
+    // Matroska chapters as mkvmerge --chapters reads them, nested chapters included; language
+    // is an ISO 639-2 code, "und" by default
+    this.toMatroskaXML = function(chapters, language) {
+      function time(seconds) {
+        var ms = Math.round(seconds * 1000)
+        return pad(Math.floor(ms / 3600000), 2) + ":" + pad(Math.floor(ms / 60000) % 60, 2) + ":"
+          + pad(Math.floor(ms / 1000) % 60, 2) + "." + pad(ms % 1000, 3) + "000000"
+      }
+      function atoms(chapters, indent) {
+        var result = ""
+        for(var i = 0; i < chapters.length; i++) {
+          result += indent + "<ChapterAtom>\n"
+            + indent + "  <ChapterTimeStart>" + time(chapters[i].start) + "</ChapterTimeStart>\n"
+            + indent + "  <ChapterTimeEnd>" + time(chapters[i].end) + "</ChapterTimeEnd>\n"
+            + indent + "  <ChapterDisplay>\n"
+            + indent + "    <ChapterString>" + xmlEscape(chapters[i].title) + "</ChapterString>\n"
+            + indent + "    <ChapterLanguage>" + (language || "und") + "</ChapterLanguage>\n"
+            + indent + "  </ChapterDisplay>\n"
+            + atoms(chapters[i].children || [], indent + "  ")
+            + indent + "</ChapterAtom>\n"
+        }
+        return result
+      }
+      return "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n"
+        + "<!DOCTYPE Chapters SYSTEM \"matroskachapters.dtd\">\n"
+        + "<Chapters>\n  <EditionEntry>\n"
+        + atoms(chapters, "    ")
+        + "  </EditionEntry>\n</Chapters>\n"
+    }
+  }
+
+  function exportify(object) {
+    object.WebVTTChapterExporter = WebVTTChapterExporter
+  }
+  if (typeof window !== 'undefined') exportify(window);
+  if (typeof exports !== 'undefined') exportify(exports);
+})()
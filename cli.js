@@ -0,0 +1,358 @@
+#!/usr/bin/env node
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+// The webvtt command, see README.md.
+
+var fs = require("fs"),
+    path = require("path"),
+    webvtt = require("./parser.js"),
+    TTMLConverter = require("./ttml.js").TTMLConverter,
+    entities = require("./html-entities.json")
+
+var USAGE = "Usage: webvtt <command> [options] [files...]\n\n"
+  + "Commands:\n"
+  + "  validate [files...]        Report errors and warnings\n"
+  + "  format [files...]          Rewrite WebVTT files in canonical form\n"
+  + "  convert [file]             Convert between WebVTT, SubRip and TTML\n"
+  + "  shift <offset> [files...]  Move all cues by offset, in seconds or as a timestamp\n\n"
+  + "Options:\n"
+  + "  -f, --format <format>      Output of validate: text (default), json or sarif\n"
+  + "      --fail-on <severity>   Exit with 1 on diagnostics of at least error (default),\n"
+  + "                             warning or info, or never\n"
+  + "  -m, --mode <mode>          Kind of text track: subtitles (default), metadata or chapters\n"
+  + "      --from <format>        Input format of convert: vtt, srt or ttml\n"
+  + "      --to <format>          Output format of convert: vtt, srt or ttml\n"
+  + "  -o, --output <file>        Write to file instead of stdout\n"
+  + "  -w, --write                Rewrite the files in place\n"
+  + "  -h, --help                 Show this help\n\n"
+  + "Files can be globs such as \"subs/**/*.vtt\". Without files, or with \"-\", stdin is read.\n"
+  + "Exit status is 0 on success, 1 when the input has errors and 2 when the command failed.\n"
+
+var SEVERITIES = ["info", "warning", "error"]
+
+// Thrown for problems with the command line or files, exits with 2
+function UsageError(message) {
+  this.message = message
+}
+
+/* ARGUMENTS */
+function parseArgs(argv) {
+  var args = {command:argv[0] && argv[0][0] != "-" ? argv[0] : null, files:[], format:"text", failOn:"error", mode:"", write:false},
+      names = {"-f":"format", "--format":"format", "--fail-on":"failOn", "-m":"mode", "--mode":"mode",
+               "--from":"from", "--to":"to", "-o":"output", "--output":"output"}
+  for(var i = args.command ? 1 : 0; i < argv.length; i++) {
+    var arg = argv[i], value = null
+    if(/^--[^=]+=/.test(arg)) {
+      value = arg.slice(arg.indexOf("=") + 1)
+      arg = arg.slice(0, arg.indexOf("="))
+    }
+    if(arg == "--") {
+      args.files = args.files.concat(argv.slice(i + 1))
+      break
+    } else if(arg == "-h" || arg == "--help") {
+      args.help = true
+    } else if(arg == "-w" || arg == "--write") {
+      args.write = true
+    } else if(names[arg]) {
+      if(value == null) {
+        if(i + 1 == argv.length)
+          throw new UsageError("Missing value for " + arg + ".")
+        value = argv[++i]
+      }
+      args[names[arg]] = value
+    } else if(arg[0] == "-" && arg != "-" && !(args.command == "shift" && /^-[\d.:]+$/.test(arg))) {
+      throw new UsageError("Unknown option " + arg + ".")
+    } else {
+      args.files.push(arg)
+    }
+  }
+  if(args.failOn != "never" && SEVERITIES.indexOf(args.failOn) == -1)
+    throw new UsageError("--fail-on takes error, warning, info or never.")
+  if(["text", "json", "sarif"].indexOf(args.format) == -1)
+    throw new UsageError("--format takes text, json or sarif.")
+  if(args.mode != "metadata" && args.mode != "chapters")
+    args.mode = ""
+  return args
+}
+
+/* FILES
+   A glob has *, ** or ? in it; other paths are used as is. */
+function expand(pattern) {
+  if(!/[*?]/.test(pattern))
+    return [pattern]
+  var segments = pattern.split(/[\\/]/),
+      bases = [segments[0] == "" ? "/" : "."],
+      start = segments[0] == "" || segments[0] == "." ? 1 : 0
+  function toRegExp(segment) {
+    return new RegExp("^" + segment.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, "[^/]*").replace(/\?/g, "[^/]") + "$")
+  }
+  function children(dir) {
+    try {
+      return fs.readdirSync(dir, {withFileTypes:true})
+    } catch(e) {
+      return []
+    }
+  }
+  function descendants(dir) {
+    var result = [dir], entries = children(dir)
+    for(var i = 0; i < entries.length; i++) {
+      if(entries[i].isDirectory() && entries[i].name[0] != ".")
+        result = result.concat(descendants(path.join(dir, entries[i].name)))
+    }
+    return result
+  }
+  for(var i = start; i < segments.length; i++) {
+    var next = []
+    if(segments[i] == "**") {
+      for(var j = 0; j < bases.length; j++)
+        next = next.concat(descendants(bases[j]))
+    } else if(/[*?]/.test(segments[i])) {
+      var re = toRegExp(segments[i])
+      for(var j = 0; j < bases.length; j++) {
+        var entries = children(bases[j])
+        for(var k = 0; k < entries.length; k++) {
+          if(re.test(entries[k].name) && (entries[k].name[0] != "." || segments[i][0] == "."))
+            next.push(path.join(bases[j], entries[k].name))
+        }
+      }
+    } else {
+      for(var j = 0; j < bases.length; j++)
+        next.push(path.join(bases[j], segments[i]))
+    }
+    bases = next
+  }
+  return bases.filter(function(file, i) {
+    return bases.indexOf(file) == i && fs.existsSync(file) && fs.statSync(file).isFile()
+  }).sort()
+}
+
+// [{name, bytes, text}], where stdin is named "-"; WebVTT is parsed from the bytes, so that
+// encoding problems are reported
+function readInputs(files) {
+  if(!files.length)
+    files = ["-"]
+  var inputs = []
+  for(var i = 0; i < files.length; i++) {
+    var names = expand(files[i])
+    if(!names.length)
+      throw new UsageError("No files match " + files[i] + ".")
+    for(var j = 0; j < names.length; j++) {
+      try {
+        var bytes = fs.readFileSync(names[j] == "-" ? 0 : names[j])
+        inputs.push({name:names[j], bytes:bytes, text:bytes.toString("utf-8")})
+      } catch(e) {
+        throw new UsageError("Cannot read " + names[j] + ": " + e.message)
+      }
+    }
+  }
+  return inputs
+}
+
+function formatOf(name, format) {
+  if(format)
+    return format
+  var ext = path.extname(name).toLowerCase()
+  if(ext == ".srt")
+    return "srt"
+  if(ext == ".ttml" || ext == ".dfxp" || ext == ".xml")
+    return "ttml"
+  return "vtt"
+}
+
+/* OUTPUT */
+function formatText(results) {
+  var result = ""
+  for(var i = 0; i < results.length; i++) {
+    for(var j = 0; j < results[i].errors.length; j++) {
+      var error = results[i].errors[j]
+      result += (results[i].name == "-" ? "<stdin>" : results[i].name)
+        + (error.line ? ":" + error.line + ":" + error.col : "") + ": " + error.severity + ": " + error.message + " (" + error.code + ")\n"
+    }
+  }
+  return result
+}
+
+function formatSARIF(results) {
+  var rules = [], ruleIds = {}, sarifResults = []
+  for(var i = 0; i < results.length; i++) {
+    for(var j = 0; j < results[i].errors.length; j++) {
+      var error = results[i].errors[j]
+      if(!(error.code in ruleIds)) {
+        ruleIds[error.code] = rules.length
+        rules.push({id:error.code, shortDescription:{text:webvtt.WebVTTDiagnostics[error.code].message}})
+      }
+      sarifResults.push({
+        ruleId:error.code,
+        ruleIndex:ruleIds[error.code],
+        level:error.severity == "info" ? "note" : error.severity,
+        message:{text:error.message},
+        locations:[{physicalLocation:{
+          artifactLocation:{uri:results[i].name == "-" ? "stdin" : results[i].name.split(path.sep).join("/")},
+          region:{startLine:error.line, startColumn:error.col, endLine:error.endLine, endColumn:error.endCol}
+        }}]
+      })
+    }
+  }
+  return JSON.stringify({
+    version:"2.1.0",
+    $schema:"https://json.schemastore.org/sarif-2.1.0.json",
+    runs:[{
+      tool:{driver:{name:"webvtt", informationUri:"https://github.com/w3c/webvtt.js", rules:rules}},
+      results:sarifResults
+    }]
+  }, null, 2) + "\n"
+}
+
+function write(args, text, name) {
+  if(name && name != "-") {
+    fs.writeFileSync(name, text)
+  } else if(args.output) {
+    fs.writeFileSync(args.output, text)
+  } else {
+    process.stdout.write(text)
+  }
+}
+
+// Diagnostics of the commands that rewrite files go to stderr
+function report(results) {
+  process.stderr.write(formatText(results))
+  for(var i = 0; i < results.length; i++) {
+    for(var j = 0; j < results[i].errors.length; j++) {
+      if(results[i].errors[j].severity == "error")
+        return 1
+    }
+  }
+  return 0
+}
+
+function rewrite(args, transform) {
+  var inputs = readInputs(args.files),
+      results = [],
+      unchanged = []
+  if(inputs.length > 1 && !args.write)
+    throw new UsageError("Use --write to rewrite more than one file.")
+  for(var i = 0; i < inputs.length; i++) {
+    var result = new webvtt.WebVTTParser(entities).parse(inputs[i].bytes, args.mode),
+        name = inputs[i].name == "-" ? "<stdin>" : inputs[i].name
+    if(result.errors.some(function(error) { return error.code == "signature-invalid" }))
+      throw new UsageError(name + " is not a WebVTT file.")
+    results.push({name:inputs[i].name, errors:result.errors})
+    // A file is only rewritten when nothing in it would get lost: every "-->" line makes a cue
+    if(args.write && (result.errors.some(function(error) { return error.severity == "error" }) ||
+                      inputs[i].text.split(/\r\n|\r|\n/).filter(function(line) { return line.indexOf("-->") != -1 }).length > result.cues.length)) {
+      unchanged.push(name)
+      continue
+    }
+    transform(result)
+    write(args, new webvtt.WebVTTSerializer().serialize(result), args.write ? inputs[i].name : null)
+  }
+  var status = report(results)
+  for(var i = 0; i < unchanged.length; i++)
+    process.stderr.write(unchanged[i] + ": not rewritten because of the errors above\n")
+  return unchanged.length ? 1 : status
+}
+
+/* COMMANDS */
+var commands = {
+  validate: function(args) {
+    var inputs = readInputs(args.files),
+        results = [],
+        status = 0
+    for(var i = 0; i < inputs.length; i++) {
+      var errors = new webvtt.WebVTTParser(entities).parse(inputs[i].bytes, args.mode).errors
+      results.push({name:inputs[i].name, errors:errors})
+      for(var j = 0; j < errors.length; j++) {
+        if(args.failOn != "never" && SEVERITIES.indexOf(errors[j].severity) >= SEVERITIES.indexOf(args.failOn))
+          status = 1
+      }
+    }
+    if(args.format == "json")
+      write(args, JSON.stringify(results, null, 2) + "\n")
+    else if(args.format == "sarif")
+      write(args, formatSARIF(results))
+    else
+      write(args, formatText(results))
+    return status
+  },
+
+  format: function(args) {
+    return rewrite(args, function() {})
+  },
+
+  shift: function(args) {
+    var offset = args.files.shift()
+    if(offset == undefined)
+      throw new UsageError("shift needs an offset, such as 1.5 or -00:01.000.")
+    var sign = offset[0] == "-" ? -1 : 1,
+        value = offset.replace(/^[+-]/, ""),
+        seconds = /:/.test(value) ? new webvtt.WebVTTCueTimingsAndSettingsParser(value).parseTimestamp() : Number(value)
+    if(seconds == undefined || isNaN(seconds) || value == "")
+      throw new UsageError("Offset " + offset + " is not a number of seconds or a timestamp.")
+    seconds *= sign
+    return rewrite(args, function(result) {
+      try {
+        result.cues = new webvtt.WebVTTRetimer({invalid:"reject"}).shift(result.cues, seconds)
+      } catch(e) {
+        if(!(e instanceof RangeError))
+          throw e
+        throw new UsageError("Shifting by " + offset + " moves cues before the start.")
+      }
+    })
+  },
+
+  convert: function(args) {
+    if(args.files.length > 1)
+      throw new UsageError("convert takes one file.")
+    var input = readInputs(args.files)[0],
+        from = formatOf(input.name, args.from),
+        to = formatOf(args.output || "", args.to),
+        result
+    if(from == "srt") {
+      result = new webvtt.SRTParser().parse(input.text, args.mode)
+    } else if(from == "ttml") {
+      result = new TTMLConverter().fromTTML(input.text)
+      result.errors = result.errors.concat(result.warnings)
+    } else if(from == "vtt") {
+      result = new webvtt.WebVTTParser(entities).parse(input.bytes, args.mode)
+    } else {
+      throw new UsageError("Unknown input format " + from + ".")
+    }
+    var errors = result.errors
+    if(to == "srt") {
+      write(args, new webvtt.SRTSerializer().serialize(result.cues))
+    } else if(to == "ttml") {
+      var ttml = new TTMLConverter().toTTML(result)
+      write(args, ttml.ttml)
+      errors = errors.concat(ttml.warnings.map(function(warning) {
+        var cue = warning.cue != undefined ? result.cues[warning.cue] : null
+        return cue ? Object.assign({}, warning, {message:warning.message + " (cue at " + cue.startTime + "s)"}) : warning
+      }))
+    } else if(to == "vtt") {
+      write(args, new webvtt.WebVTTSerializer().serialize(result))
+    } else {
+      throw new UsageError("Unknown output format " + to + ".")
+    }
+    return report([{name:input.name, errors:errors}])
+  }
+}
+
+function main(argv) {
+  try {
+    var args = parseArgs(argv)
+    if(args.help || !args.command) {
+      process.stdout.write(USAGE)
+      return args.help ? 0 : 2
+    }
+    if(!commands.hasOwnProperty(args.command))
+      throw new UsageError("Unknown command " + args.command + ".\n\n" + USAGE)
+    return commands[args.command](args)
+  } catch(e) {
+    if(!(e instanceof UsageError))
+      throw e
+    process.stderr.write("webvtt: " + e.message + "\n")
+    return 2
+  }
+}
+
+process.exitCode = main(process.argv.slice(2))
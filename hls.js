@@ -0,0 +1,112 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+// Splits a WebVTT track into the segments of an HLS subtitle rendition with their media
+// playlist, and puts segments back together into one track.
+
+(function () {
+  var webvtt = typeof require !== 'undefined' ? require("./parser.js") : window
+
+  /* options.targetDuration is the length of segments in seconds (6 by default), options.mpegts
+     the MPEG-TS time (90 kHz) that cue time zero is at in the video, written in the
+     X-TIMESTAMP-MAP of every segment (0 by default), and options.uri gives the name of a segment
+     from its index ("segment0.vtt" and so on by default). */
+  var WebVTTSegmenter = function(options) {
+    options = options || {}
+    var targetDuration = options.targetDuration || 6,
+        mpegts = options.mpegts || 0,
+        uri = options.uri || function(index) { return "segment" + index + ".vtt" },
+        serializer = new webvtt.WebVTTSerializer()
+    if(!(targetDuration > 0))
+      throw new RangeError("Target duration " + targetDuration + " is not a positive number.")
+    if(!(mpegts >= 0) || mpegts % 1)
+      throw new RangeError("MPEG-TS time " + mpegts + " is not a whole number of 90 kHz ticks.")
+
+    function timestampMapHeader(header) {
+      var lines = (header || "").split("\n").filter(function(line) { return !/^X-TIMESTAMP-MAP=/.test(line) })
+      // The first line follows WEBVTT on the signature line
+      return lines.join("\n") + "\nX-TIMESTAMP-MAP=MPEGTS:" + mpegts + ",LOCAL:00:00:00.000"
+    }
+
+    /* Takes a parse result (or a list of cues) and returns the segments as {uri, start, end,
+       duration, cues, text} covering the track up to duration (by default the end of the last
+       cue). A cue is in every segment it is shown during, as HLS wants, so cues crossing the
+       end of a segment are repeated in the next ones. */
+    this.segment = function(result, duration) {
+      var cues = result.cues || result,
+          header = timestampMapHeader(result.header),
+          segments = []
+      if(duration == undefined)
+        duration = cues.reduce(function(end, cue) { return Math.max(end, cue.endTime) }, 0)
+      for(var index = 0, start = 0; start < duration || index == 0; index++, start = index * targetDuration) {
+        var end = Math.min(start + targetDuration, duration),
+            inside = cues.filter(function(cue) {
+              // Cues without duration go where they start
+              return cue.startTime < end && (cue.endTime > start || cue.startTime == cue.endTime && cue.startTime >= start)
+            })
+        segments.push({
+          uri:uri(index),
+          start:start,
+          end:end,
+          duration:end - start,
+          cues:inside,
+          text:serializer.serialize({cues:inside, styles:result.styles, regions:result.regions, header:header})
+        })
+      }
+      return segments
+    }
+
+    /* The media playlist of segments, each with uri and duration, for a complete (VOD) track */
+    this.playlist = function(segments) {
+      var target = segments.reduce(function(max, segment) { return Math.max(max, Math.round(segment.duration)) }, 1),
+          result = "#EXTM3U\n#EXT-X-VERSION:3\n#EXT-X-TARGETDURATION:" + target + "\n"
+            + "#EXT-X-MEDIA-SEQUENCE:0\n#EXT-X-PLAYLIST-TYPE:VOD\n"
+      for(var i = 0; i < segments.length; i++) {
+        result += "#EXTINF:" + segments[i].duration.toFixed(3) + ",\n" + segments[i].uri + "\n"
+      }
+      return result + "#EXT-X-ENDLIST\n"
+    }
+
+    /* Puts the text (or bytes) of segments back into one parse result. Each segment's
+       X-TIMESTAMP-MAP is applied, with cue time zero at options.mpegts, and cues repeated across
+       segments are kept once. Errors get the index of their segment as segment. */
+    this.reassemble = function(segments, entities) {
+      var result = {cues:[], errors:[], styles:[], styleRules:[], regions:[], comments:[], header:""},
+          seen = new Set(),
+          offset = mpegts / 90000
+      for(var i = 0; i < segments.length; i++) {
+        var parsed = new webvtt.WebVTTParser(entities, {applyTimestampMap:true}).parse(segments[i])
+        if(i == 0) {
+          result.header = parsed.header.split("\n").filter(function(line) { return !/^X-TIMESTAMP-MAP=/.test(line) }).join("\n")
+          result.styles = parsed.styles
+          result.styleRules = parsed.styleRules
+          result.regions = parsed.regions
+        }
+        new webvtt.WebVTTRetimer().shift(parsed.cues, -offset)
+        for(var j = 0; j < parsed.cues.length; j++) {
+          var cue = parsed.cues[j],
+              key = [cue.id, cue.startTime, cue.endTime, cue.text].join("\n")
+          if(seen.has(key))
+            continue
+          seen.add(key)
+          result.cues.push(cue)
+        }
+        for(var j = 0; j < parsed.comments.length; j++) {
+          if(!parsed.comments[j].cue || result.cues.indexOf(parsed.comments[j].cue) != -1)
+            result.comments.push(parsed.comments[j])
+        }
+        result.errors = result.errors.concat(parsed.errors.map(function(error) {
+          return Object.assign({segment:i}, error)
+        }))
+      }
+      result.cues.sort(function(a, b) { return a.startTime - b.startTime || b.endTime - a.endTime })
+      return result
+    }
+  }
+
+  function exportify(object) {
+    object.WebVTTSegmenter = WebVTTSegmenter
+  }
+  if (typeof window !== 'undefined') exportify(window);
+  if (typeof exports !== 'undefined') exportify(exports);
+})()
@@ -0,0 +1,376 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+// Where cues end up on screen, following the rules for updating the display of WebVTT text
+// tracks. Sizes are in CSS pixels of the video's rendering area.
+
+(function () {
+  // Default line height in % of the video height
+  var LINE_HEIGHT = 5.33,
+      // The first strong character decides the base direction of cue text
+      STRONG = /[A-Za-z\u00C0-\u02B8\u0370-\u1FFF\u2C00-\uFDFF\uFE70-\uFEFC\uFF21-\uFF5A]/,
+      RTL = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFC]/
+
+  /* Options are width and height of the video, fontSize and lineHeight (5% and 5.33% of the
+     height by default), measureText(text, cue) returning the advance of a line of text (half
+     the font size per character by default, a whole one in vertical text) and trackIndex, the
+     number of showing text tracks before this one. */
+  var WebVTTLayout = function(options) {
+    options = options || {}
+    var width = options.width || 640,
+        height = options.height || 360,
+        fontSize = options.fontSize || height * 0.05,
+        lineHeight = options.lineHeight || height * LINE_HEIGHT / 100,
+        trackIndex = options.trackIndex || 0,
+        measureText = options.measureText || function(text, cue) {
+          return text.length * fontSize * (cue.direction == "horizontal" ? 0.5 : 1)
+        }
+
+    /* TEXT */
+    // Cue text as displayed, without ruby annotations
+    function textOf(cue) {
+      var result = ""
+      function walk(nodes) {
+        for(var i = 0; i < nodes.length; i++) {
+          if(nodes[i].type == "text")
+            result += nodes[i].value
+          else if(nodes[i].type == "object" && nodes[i].name != "rt")
+            walk(nodes[i].children)
+        }
+      }
+      if(cue.tree)
+        walk(cue.tree.children)
+      else
+        result = cue.text.replace(/<[^>]*>/g, "")
+      return result
+    }
+    function isRTL(text) {
+      var m = text.match(STRONG)
+      return !!m && RTL.test(m[0])
+    }
+    // Breaks at spaces where a line gets longer than available; longer words overflow
+    function breakLines(text, available, cue) {
+      var paragraphs = text.split("\n"),
+          lines = []
+      for(var i = 0; i < paragraphs.length; i++) {
+        var words = paragraphs[i].match(/ *[^ ]+ */g) || [""],
+            line = ""
+        for(var j = 0; j < words.length; j++) {
+          if(line != "" && measureText((line + words[j]).trimEnd(), cue) > available) {
+            lines.push(line.trimEnd())
+            line = words[j].trimStart()
+          } else {
+            line += words[j]
+          }
+        }
+        lines.push(line.trimEnd())
+      }
+      return lines
+    }
+    // Offset of a line within its box for the cue text alignment
+    function alignLine(cue, rtl, free) {
+      var alignment = cue.alignment == "start" ? (rtl ? "right" : "left") : cue.alignment == "end" ? (rtl ? "left" : "right") : cue.alignment
+      return alignment == "left" ? 0 : alignment == "right" ? free : free / 2
+    }
+
+    /* CUE SETTINGS */
+    function computedPosition(cue) {
+      if(cue.textPosition != "auto")
+        return cue.textPosition
+      if(cue.alignment == "left")
+        return 0
+      if(cue.alignment == "right")
+        return 100
+      return 50
+    }
+    function computedPositionAlignment(cue, rtl) {
+      if(cue.positionAlign != "auto")
+        return cue.positionAlign
+      if(cue.alignment == "left" || cue.alignment == "start" && !rtl || cue.alignment == "end" && rtl)
+        return "line-left"
+      if(cue.alignment == "right" || cue.alignment == "end" && !rtl || cue.alignment == "start" && rtl)
+        return "line-right"
+      return "center"
+    }
+    function computedLine(cue) {
+      if(cue.linePosition != "auto") {
+        if(!cue.snapToLines && (cue.linePosition < 0 || cue.linePosition > 100))
+          return 100
+        return cue.linePosition
+      }
+      if(!cue.snapToLines)
+        return 100
+      return -(trackIndex + 1)
+    }
+
+    /* BOXES
+       Cues are laid out along their line axis (u: from the top, from the right for vertical:rl,
+       from the left for vertical:lr) and position axis (v: from the left, or from the top). */
+    function rect(cue, u, v, uSize, vSize) {
+      if(cue.direction == "horizontal")
+        return {x:v, y:u, width:vSize, height:uSize}
+      if(cue.direction == "rl")
+        return {x:width - u - uSize, y:v, width:uSize, height:vSize}
+      return {x:u, y:v, width:uSize, height:vSize}
+    }
+    function lineStart(cue, box) {
+      return cue.direction == "horizontal" ? box.y : cue.direction == "rl" ? width - box.x - box.width : box.x
+    }
+    function moveAlongLine(cue, boxes, distance) {
+      for(var i = 0; i < boxes.length; i++) {
+        if(cue.direction == "horizontal")
+          boxes[i].y += distance
+        else if(cue.direction == "rl")
+          boxes[i].x -= distance
+        else
+          boxes[i].x += distance
+      }
+    }
+    function move(boxes, dx, dy) {
+      for(var i = 0; i < boxes.length; i++) {
+        boxes[i].x += dx
+        boxes[i].y += dy
+      }
+    }
+    function intersects(a, b) {
+      return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height
+    }
+    function inside(box) {
+      return box.x >= 0 && box.y >= 0 && box.x + box.width <= width && box.y + box.height <= height
+    }
+    function bounds(boxes) {
+      var x = Infinity, y = Infinity, right = -Infinity, bottom = -Infinity
+      for(var i = 0; i < boxes.length; i++) {
+        x = Math.min(x, boxes[i].x)
+        y = Math.min(y, boxes[i].y)
+        right = Math.max(right, boxes[i].x + boxes[i].width)
+        bottom = Math.max(bottom, boxes[i].y + boxes[i].height)
+      }
+      return {x:x, y:y, width:right - x, height:bottom - y}
+    }
+    function fits(boxes, output) {
+      for(var i = 0; i < boxes.length; i++) {
+        if(!inside(boxes[i]))
+          return false
+        for(var j = 0; j < output.length; j++) {
+          if(intersects(boxes[i], output[j]))
+            return false
+        }
+      }
+      return true
+    }
+    // Percentage of the bounding box outside the video
+    function outsideScore(boxes) {
+      var box = bounds(boxes),
+          area = box.width * box.height,
+          visible = Math.max(0, Math.min(box.x + box.width, width) - Math.max(box.x, 0))
+                  * Math.max(0, Math.min(box.y + box.height, height) - Math.max(box.y, 0))
+      return area ? (area - visible) / area * 100 : 0
+    }
+    function positions(boxes) {
+      return boxes.map(function(box) { return {x:box.x, y:box.y} })
+    }
+    function restore(boxes, saved) {
+      for(var i = 0; i < boxes.length; i++) {
+        boxes[i].x = saved[i].x
+        boxes[i].y = saved[i].y
+      }
+    }
+
+    /* CUES
+       Line boxes of output are in the way of later cues. */
+    function layoutCue(cue, output) {
+      var text = textOf(cue),
+          rtl = isRTL(text),
+          horizontal = cue.direction == "horizontal",
+          fullDimension = horizontal ? height : width,
+          positionDimension = horizontal ? width : height,
+          position = computedPosition(cue),
+          positionAlignment = computedPositionAlignment(cue, rtl),
+          maximumSize = positionAlignment == "line-left" ? 100 - position
+                      : positionAlignment == "line-right" ? position
+                      : position <= 50 ? position * 2 : (100 - position) * 2,
+          size = Math.min(cue.size, maximumSize),
+          vSize = size * positionDimension / 100,
+          v = (positionAlignment == "line-left" ? position
+             : positionAlignment == "line-right" ? position - size
+             : position - size / 2) * positionDimension / 100,
+          lines = breakLines(text, vSize, cue),
+          boxes = []
+      for(var i = 0; i < lines.length; i++) {
+        var advance = measureText(lines[i], cue),
+            box = rect(cue, i * lineHeight, v + alignLine(cue, rtl, vSize - advance), lineHeight, advance)
+        box.text = lines[i]
+        boxes.push(box)
+      }
+
+      if(cue.snapToLines) {
+        var step = lineHeight
+        if(step == 0)
+          return
+        var line = Math.floor(computedLine(cue) + 0.5),
+            distance = step * line
+        if(line < 0) {
+          distance += fullDimension
+          step = -step
+        }
+        moveAlongLine(cue, boxes, distance)
+        var specified = positions(boxes),
+            best = null,
+            bestScore,
+            switched = false
+        while(!fits(boxes, output)) {
+          var score = outsideScore(boxes)
+          if(best == null || score < bestScore) {
+            best = positions(boxes)
+            bestScore = score
+          }
+          var start = lineStart(cue, boxes[0])
+          if(step < 0 && start < 0 || step > 0 && start + lineHeight > fullDimension) {
+            // Switch direction
+            if(switched) {
+              restore(boxes, best)
+              break
+            }
+            restore(boxes, specified)
+            switched = true
+            step = -step
+            continue
+          }
+          moveAlongLine(cue, boxes, step)
+        }
+      } else {
+        // The line alignment edge is at the line position, counted from the left for vertical text
+        var extent = lines.length * lineHeight,
+            edge = computedLine(cue) * fullDimension / 100
+                 - (cue.lineAlign == "center" ? extent / 2 : cue.lineAlign == "end" ? extent : 0)
+        moveAlongLine(cue, boxes, cue.direction == "rl" ? width - edge - extent : edge)
+        if(!fits(boxes, output))
+          moveToClosestFit(boxes, output)
+      }
+      return {
+        cue:cue,
+        region:null,
+        box:rect(cue, lineStart(cue, boxes[0]), v, lines.length * lineHeight, vSize),
+        lines:boxes
+      }
+    }
+
+    // Where the boxes fit, moving them as little as possible and up rather than down
+    function moveToClosestFit(boxes, output) {
+      var box = bounds(boxes),
+          clampX = Math.min(Math.max(0, -box.x), width - box.x - box.width),
+          clampY = Math.min(Math.max(0, -box.y), height - box.y - box.height),
+          candidates = [[clampX, clampY]],
+          best = null
+      for(var i = 0; i < output.length; i++) {
+        var other = output[i]
+        candidates.push([clampX, other.y - box.height - box.y], [clampX, other.y + other.height - box.y],
+                        [other.x - box.width - box.x, clampY], [other.x + other.width - box.x, clampY])
+      }
+      for(var i = 0; i < candidates.length; i++) {
+        var dx = candidates[i][0], dy = candidates[i][1],
+            distance = Math.sqrt(dx * dx + dy * dy)
+        move(boxes, dx, dy)
+        if(fits(boxes, output) && (!best || distance < best.distance || distance == best.distance && dy < best.dy))
+          best = {dx:dx, dy:dy, distance:distance}
+        move(boxes, -dx, -dy)
+      }
+      if(best)
+        move(boxes, best.dx, best.dy)
+    }
+
+    /* REGIONS
+       The lines of the cues of a region stack up from its bottom; lines that scroll out of the
+       top are not visible. */
+    function layoutRegion(region, cues) {
+      var regionWidth = region.width * width / 100,
+          regionHeight = region.lines * lineHeight,
+          x = region.viewportAnchorX * width / 100 - region.regionAnchorX * regionWidth / 100,
+          y = region.viewportAnchorY * height / 100 - region.regionAnchorY * regionHeight / 100,
+          results = [],
+          u = 0
+      for(var i = 0; i < cues.length; i++) {
+        var cue = cues[i],
+            text = textOf(cue),
+            rtl = isRTL(text),
+            positionAlignment = computedPositionAlignment(cue, rtl),
+            offset = computedPosition(cue) * regionWidth / 100
+                   - (positionAlignment == "center" ? regionWidth / 2 : positionAlignment == "line-right" ? regionWidth : 0),
+            lines = breakLines(text, regionWidth, cue),
+            boxes = []
+        for(var j = 0; j < lines.length; j++) {
+          var advance = measureText(lines[j], cue)
+          boxes.push({x:x + offset + alignLine(cue, rtl, regionWidth - advance), y:u + j * lineHeight, width:advance, height:lineHeight, text:lines[j]})
+        }
+        results.push({cue:cue, region:region, box:{x:x + offset, y:u, width:regionWidth, height:lines.length * lineHeight}, lines:boxes})
+        u += lines.length * lineHeight
+      }
+      var top = y + regionHeight - u
+      for(var i = 0; i < results.length; i++) {
+        results[i].box.y += top
+        move(results[i].lines, 0, top)
+        for(var j = 0; j < results[i].lines.length; j++)
+          results[i].lines[j].visible = results[i].lines[j].y >= y - 0.001
+      }
+      return {region:region, box:{x:x, y:y, width:regionWidth, height:regionHeight}, cues:results}
+    }
+    function inRegion(cue) {
+      return cue.region && cue.direction == "horizontal" && cue.linePosition == "auto" && cue.size == 100
+    }
+
+    /* Lays out the cues active at time, or all of them. Returns {cues, regions}, with for each
+       cue its box, its line boxes with their text, and whether any line is outside the video
+       (outOfBounds) and which cues it overlaps. */
+    this.layout = function(cues, time) {
+      var active = cues.filter(function(cue) {
+            return time == undefined || cue.startTime <= time && time < cue.endTime
+          }).sort(function(a, b) {
+            return a.startTime - b.startTime || b.endTime - a.endTime
+          }),
+          output = [],
+          results = [],
+          regions = []
+      for(var i = 0; i < active.length; i++) {
+        var cue = active[i]
+        if(inRegion(cue)) {
+          if(regions.some(function(r) { return r.region === cue.region }))
+            continue
+          var region = layoutRegion(cue.region, active.filter(function(other) {
+            return inRegion(other) && other.region === cue.region
+          }))
+          regions.push(region)
+          output.push(region.box)
+          results = results.concat(region.cues)
+        } else {
+          var result = layoutCue(cue, output)
+          if(!result)
+            continue
+          output = output.concat(result.lines)
+          results.push(result)
+        }
+      }
+      for(var i = 0; i < results.length; i++) {
+        var visible = results[i].lines.filter(function(line) { return line.visible !== false })
+        results[i].outOfBounds = visible.some(function(line) { return !inside(line) })
+        results[i].overlaps = []
+        for(var j = 0; j < results.length; j++) {
+          if(i != j && visible.some(function(line) {
+            return results[j].lines.some(function(other) { return other.visible !== false && intersects(line, other) })
+          }))
+            results[i].overlaps.push(results[j].cue)
+        }
+      }
+      return {
+        cues:results,
+        regions:regions.map(function(r) { return {region:r.region, box:r.box} })
+      }
+    }
+  }
+
+  function exportify(object) {
+    object.WebVTTLayout = WebVTTLayout
+  }
+  if (typeof window !== 'undefined') exportify(window);
+  if (typeof exports !== 'undefined') exportify(exports);
+})()
@@ -0,0 +1,381 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+// WebVTT in ISO BMFF, as DASH and CMAF package it in fragmented MP4 (ISO/IEC 14496-30): cues
+// become samples made of vttc, vtte and vtta boxes, and fragments are read back into cues.
+
+(function () {
+  var webvtt = typeof require !== 'undefined' ? require("./parser.js") : window
+
+  /* BOXES */
+  function concat(parts) {
+    var length = 0,
+        offset = 0
+    for(var i = 0; i < parts.length; i++)
+      length += parts[i].length
+    var result = new Uint8Array(length)
+    for(var i = 0; i < parts.length; i++) {
+      result.set(parts[i], offset)
+      offset += parts[i].length
+    }
+    return result
+  }
+  // Big-endian, up to 2^53
+  function uint(value, length) {
+    var result = new Uint8Array(length)
+    for(var i = length - 1; i >= 0; i--) {
+      result[i] = value % 256
+      value = Math.floor(value / 256)
+    }
+    return result
+  }
+  function text(value) {
+    return new TextEncoder().encode(value)
+  }
+  function box(type, parts) {
+    var content = concat(parts || [])
+    return concat([uint(content.length + 8, 4), text(type), content])
+  }
+  function fullBox(type, version, flags, parts) {
+    return box(type, [uint(version, 1), uint(flags, 3)].concat(parts || []))
+  }
+
+  function readUint(bytes, offset, length) {
+    var value = 0
+    for(var i = 0; i < length; i++)
+      value = value * 256 + bytes[offset + i]
+    return value
+  }
+  function readText(bytes, start, end) {
+    return new TextDecoder().decode(bytes.subarray(start, end))
+  }
+  // The boxes between start and end as {type, start, end, content}, content being where what
+  // follows the box header starts
+  function readBoxes(bytes, start, end) {
+    var boxes = []
+    while(start < end) {
+      if(end - start < 8)
+        throw new RangeError("Truncated box at byte " + start + ".")
+      var size = readUint(bytes, start, 4),
+          type = String.fromCharCode(bytes[start + 4], bytes[start + 5], bytes[start + 6], bytes[start + 7]),
+          header = 8
+      if(size == 1) {
+        size = readUint(bytes, start + 8, 8)
+        header = 16
+      } else if(size == 0) {
+        size = end - start
+      }
+      if(size < header || start + size > end)
+        throw new RangeError("Box " + type + " at byte " + start + " does not fit in its parent.")
+      boxes.push({type:type, start:start, end:start + size, content:start + header})
+      start += size
+    }
+    return boxes
+  }
+  function child(bytes, parent, type, skip) {
+    return readBoxes(bytes, parent.content + (skip || 0), parent.end).filter(function(b) { return b.type == type })[0]
+  }
+
+  /* options.timescale is the number of ticks per second of sample times (1000 by default),
+     options.trackId the track of the fragments (1) and options.language its ISO 639-2 code
+     ("und"). The other options are those of WebVTTSerializer, which writes the timestamps,
+     cue settings and cue text in the boxes. */
+  var WebVTTMP4Encoder = function(options) {
+    options = options || {}
+    var self = this,
+        timescale = options.timescale || 1000,
+        trackId = options.trackId || 1,
+        language = options.language || "und",
+        serializer = new webvtt.WebVTTSerializer(options),
+        // Cues split over several samples share a source ID (a vsid box)
+        sourceIds = new Map()
+
+    function ticks(seconds) {
+      return Math.round(seconds * timescale)
+    }
+    function sourceId(cue) {
+      if(!sourceIds.has(cue))
+        sourceIds.set(cue, sourceIds.size + 1)
+      return sourceIds.get(cue)
+    }
+    function hasTimestamps(nodes) {
+      return nodes.some(function(node) {
+        return node.type == "timestamp" || (node.children && hasTimestamps(node.children))
+      })
+    }
+
+    /* Cuts the cues of a parse result (or a list of cues) wherever one starts or ends, giving
+       samples {start, end, cues, comments} from zero to the end of the last cue, in which no cue
+       starts or ends. comments has the text of the comments before the cues starting there. */
+    this.samples = function(result) {
+      var cues = (result.cues || result).filter(function(cue) { return ticks(cue.endTime) > ticks(cue.startTime) }),
+          comments = result.comments || [],
+          times = [0],
+          samples = []
+      cues.forEach(function(cue) { times.push(ticks(cue.startTime), ticks(cue.endTime)) })
+      times = times.filter(function(time, i) { return times.indexOf(time) == i }).sort(function(a, b) { return a - b })
+      for(var i = 0; i + 1 < times.length; i++) {
+        var start = times[i],
+            end = times[i + 1]
+        samples.push({
+          start:start / timescale,
+          end:end / timescale,
+          cues:cues.filter(function(cue) { return ticks(cue.startTime) <= start && ticks(cue.endTime) >= end }),
+          comments:comments.filter(function(comment) {
+            return cues.indexOf(comment.cue) != -1 && ticks(comment.cue.startTime) == start
+          }).map(function(comment) { return comment.text })
+        })
+      }
+      return samples
+    }
+
+    /* The boxes of a sample: a vttc box for each cue, or a vtte box when there is none, then a
+       vtta box for each comment. A cue that started earlier and has timestamps gets the time
+       of the sample in a ctim box. */
+    this.encodeSample = function(sample) {
+      var boxes = sample.cues.length ? [] : [box("vtte")]
+      sample.cues.forEach(function(cue) {
+        var parts = [],
+            settings = serializer.serializeCueSettings(cue)
+        if(cue.startTime < sample.start || cue.endTime > sample.end)
+          parts.push(box("vsid", [uint(sourceId(cue), 4)]))
+        if(cue.tree && hasTimestamps(cue.tree.children) && cue.startTime < sample.start)
+          parts.push(box("ctim", [text(serializer.serializeTimestamp(sample.start))]))
+        if(cue.id)
+          parts.push(box("iden", [text(cue.id)]))
+        if(settings)
+          parts.push(box("sttg", [text(settings)]))
+        parts.push(box("payl", [text(serializer.serializeCueText(cue))]))
+        boxes.push(box("vttc", parts))
+      })
+      for(var i = 0; i < (sample.comments || []).length; i++)
+        boxes.push(box("vtta", [text(sample.comments[i])]))
+      return concat(boxes)
+    }
+
+    /* A movie fragment (moof and mdat) with samples, which follow each other from the start of
+       the first one. sequenceNumber numbers the fragment, 1 by default. */
+    this.encodeFragment = function(samples, sequenceNumber) {
+      var data = samples.map(self.encodeSample)
+      function moof(dataOffset) {
+        var entries = []
+        for(var i = 0; i < samples.length; i++)
+          entries.push(uint(ticks(samples[i].end) - ticks(samples[i].start), 4), uint(data[i].length, 4))
+        return box("moof", [
+          fullBox("mfhd", 0, 0, [uint(sequenceNumber || 1, 4)]),
+          box("traf", [
+            // default-base-is-moof
+            fullBox("tfhd", 0, 0x020000, [uint(trackId, 4)]),
+            fullBox("tfdt", 1, 0, [uint(samples.length ? ticks(samples[0].start) : 0, 8)]),
+            // data-offset, sample-duration and sample-size present
+            fullBox("trun", 0, 0x000301, [uint(samples.length, 4), uint(dataOffset, 4)].concat(entries))
+          ])
+        ])
+      }
+      return concat([moof(moof(0).length + 8), box("mdat", data)])
+    }
+
+    /* The initialization segment (ftyp and moov) of a track for the header, regions and styles
+       of a parse result, which go in the vttC box of the wvtt sample entry. */
+    this.encodeInitSegment = function(result) {
+      var config = serializer.serialize({cues:[], header:result.header, regions:result.regions, styles:result.styles}).replace(/[\r\n]+$/, ""),
+          matrix = [0x10000, 0, 0, 0, 0x10000, 0, 0, 0, 0x40000000].map(function(value) { return uint(value, 4) }),
+          packedLanguage = 0
+      for(var i = 0; i < 3; i++)
+        packedLanguage = packedLanguage * 32 + language.charCodeAt(i) - 0x60
+      return concat([
+        box("ftyp", [text("iso6"), uint(0, 4), text("iso6cmfcdash")]),
+        box("moov", [
+          fullBox("mvhd", 0, 0, [uint(0, 4), uint(0, 4), uint(timescale, 4), uint(0, 4), uint(0x10000, 4), uint(0x100, 2), new Uint8Array(10)]
+            .concat(matrix, [new Uint8Array(24), uint(trackId + 1, 4)])),
+          box("trak", [
+            // enabled and in movie
+            fullBox("tkhd", 0, 3, [uint(0, 4), uint(0, 4), uint(trackId, 4), uint(0, 4), uint(0, 4), new Uint8Array(16)]
+              .concat(matrix, [uint(0, 4), uint(0, 4)])),
+            box("mdia", [
+              fullBox("mdhd", 0, 0, [uint(0, 4), uint(0, 4), uint(timescale, 4), uint(0, 4), uint(packedLanguage, 2), uint(0, 2)]),
+              fullBox("hdlr", 0, 0, [uint(0, 4), text("text"), new Uint8Array(12), text("WebVTT\0")]),
+              box("minf", [
+                fullBox("nmhd", 0, 0),
+                box("dinf", [fullBox("dref", 0, 0, [uint(1, 4), fullBox("url ", 0, 1)])]),
+                box("stbl", [
+                  fullBox("stsd", 0, 0, [uint(1, 4), box("wvtt", [new Uint8Array(6), uint(1, 2), box("vttC", [text(config)])])]),
+                  fullBox("stts", 0, 0, [uint(0, 4)]),
+                  fullBox("stsc", 0, 0, [uint(0, 4)]),
+                  fullBox("stsz", 0, 0, [uint(0, 4), uint(0, 4)]),
+                  fullBox("stco", 0, 0, [uint(0, 4)])
+                ])
+              ])
+            ])
+          ]),
+          box("mvex", [fullBox("trex", 0, 0, [uint(trackId, 4), uint(1, 4), uint(0, 4), uint(0, 4), uint(0, 4)])])
+        ])
+      ])
+    }
+  }
+
+  /* Reads a WebVTT track back from MP4, either an initialization segment followed by fragments
+     or fragments alone. The samples are put together into a WebVTT file, cues split over
+     several samples joined again, and parsed with entities and options as WebVTTParser does;
+     the result also has the file as vtt, which the line numbers of errors refer to. Malformed
+     boxes throw a RangeError. */
+  var WebVTTMP4Decoder = function(entities, options) {
+    var serializer = new webvtt.WebVTTSerializer()
+
+    // timescale is for fragments without their initialization segment, 1000 by default
+    this.decode = function(bytes, timescale) {
+      if(bytes instanceof ArrayBuffer)
+        bytes = new Uint8Array(bytes)
+      var track = {id:null, timescale:timescale || 1000, config:"WEBVTT"},
+          cues = [],
+          previous = []
+
+      /* INITIALIZATION SEGMENT */
+      function readTrack(trak) {
+        var tkhd = child(bytes, trak, "tkhd"),
+            mdia = child(bytes, trak, "mdia"),
+            mdhd = mdia && child(bytes, mdia, "mdhd"),
+            minf = mdia && child(bytes, mdia, "minf"),
+            stbl = minf && child(bytes, minf, "stbl"),
+            stsd = stbl && child(bytes, stbl, "stsd"),
+            // The sample entry has 8 bytes before its boxes
+            wvtt = stsd && child(bytes, stsd, "wvtt", 8),
+            vttC = wvtt && child(bytes, wvtt, "vttC", 8)
+        if(!wvtt || !tkhd || !mdhd)
+          return
+        track.id = readUint(bytes, tkhd.content + (bytes[tkhd.content] ? 20 : 12), 4)
+        track.timescale = readUint(bytes, mdhd.content + (bytes[mdhd.content] ? 20 : 12), 4)
+        if(vttC)
+          track.config = readText(bytes, vttC.content, vttC.end)
+      }
+
+      /* FRAGMENTS */
+      function readFragment(moof) {
+        readBoxes(bytes, moof.content, moof.end).filter(function(b) { return b.type == "traf" }).forEach(function(traf) {
+          var tfhd = child(bytes, traf, "tfhd"),
+              tfdt = child(bytes, traf, "tfdt"),
+              flags = readUint(bytes, tfhd.content + 1, 3),
+              pos = tfhd.content + 8,
+              base = moof.start,
+              defaultDuration = 0,
+              defaultSize = 0,
+              time = tfdt ? readUint(bytes, tfdt.content + 4, bytes[tfdt.content] ? 8 : 4) : 0
+          if(track.id != null && readUint(bytes, tfhd.content + 4, 4) != track.id)
+            return
+          if(flags & 0x1) {
+            base = readUint(bytes, pos, 8)
+            pos += 8
+          }
+          if(flags & 0x2)
+            pos += 4
+          if(flags & 0x8) {
+            defaultDuration = readUint(bytes, pos, 4)
+            pos += 4
+          }
+          if(flags & 0x10)
+            defaultSize = readUint(bytes, pos, 4)
+          var data = base
+          readBoxes(bytes, traf.content, traf.end).filter(function(b) { return b.type == "trun" }).forEach(function(trun) {
+            var flags = readUint(bytes, trun.content + 1, 3),
+                count = readUint(bytes, trun.content + 4, 4),
+                pos = trun.content + 8
+            if(flags & 0x1) {
+              // signed
+              data = base + (readUint(bytes, pos, 4) | 0)
+              pos += 4
+            }
+            if(flags & 0x4)
+              pos += 4
+            for(var i = 0; i < count; i++) {
+              var duration = defaultDuration,
+                  size = defaultSize
+              if(flags & 0x100) {
+                duration = readUint(bytes, pos, 4)
+                pos += 4
+              }
+              if(flags & 0x200) {
+                size = readUint(bytes, pos, 4)
+                pos += 4
+              }
+              pos += (flags & 0x400 ? 4 : 0) + (flags & 0x800 ? 4 : 0)
+              if(data + size > bytes.length)
+                throw new RangeError("Sample at byte " + data + " goes past the end of the data.")
+              readSample(data, data + size, time / track.timescale, (time + duration) / track.timescale)
+              data += size
+              time += duration
+            }
+          })
+        })
+      }
+
+      /* SAMPLES */
+      function readSample(start, end, startTime, endTime) {
+        var current = [],
+            comments = []
+        readBoxes(bytes, start, end).forEach(function(b) {
+          if(b.type == "vtta") {
+            comments.push(readText(bytes, b.content, b.end))
+          } else if(b.type == "vttc") {
+            var cue = {sourceId:null, id:"", settings:"", payload:"", startTime:startTime, endTime:endTime, comments:[]}
+            readBoxes(bytes, b.content, b.end).forEach(function(part) {
+              if(part.type == "vsid")
+                cue.sourceId = readUint(bytes, part.content, 4)
+              else if(part.type == "iden")
+                cue.id = readText(bytes, part.content, part.end)
+              else if(part.type == "sttg")
+                cue.settings = readText(bytes, part.content, part.end)
+              else if(part.type == "payl")
+                cue.payload = readText(bytes, part.content, part.end)
+            })
+            current.push(cue)
+          }
+        })
+        current = current.map(function(cue) {
+          // The rest of a cue from the previous sample
+          var earlier = previous.filter(function(other) {
+            return other.endTime == startTime && (cue.sourceId != null ? other.sourceId == cue.sourceId
+              : other.sourceId == null && other.id == cue.id && other.settings == cue.settings && other.payload == cue.payload)
+          })[0]
+          if(earlier) {
+            earlier.endTime = endTime
+            return earlier
+          }
+          cues.push(cue)
+          return cue
+        })
+        var first = current.filter(function(cue) { return cue.startTime == startTime })[0]
+        if(first)
+          first.comments = comments
+        previous = current
+      }
+
+      readBoxes(bytes, 0, bytes.length).forEach(function(b) {
+        if(b.type == "moov") {
+          readBoxes(bytes, b.content, b.end).filter(function(trak) { return trak.type == "trak" }).forEach(readTrack)
+        } else if(b.type == "moof") {
+          readFragment(b)
+        }
+      })
+
+      var vtt = track.config + "\n\n"
+      cues.forEach(function(cue) {
+        cue.comments.forEach(function(comment) {
+          vtt += "NOTE" + (comment[0] == "\n" ? "" : " ") + comment + "\n\n"
+        })
+        vtt += (cue.id ? cue.id + "\n" : "")
+          + serializer.serializeTimestamp(cue.startTime) + " --> " + serializer.serializeTimestamp(cue.endTime)
+          + (cue.settings ? " " + cue.settings : "") + "\n" + cue.payload + "\n\n"
+      })
+      var result = new webvtt.WebVTTParser(entities, options).parse(vtt)
+      result.vtt = vtt
+      return result
+    }
+  }
+
+  function exportify(object) {
+    object.WebVTTMP4Encoder = WebVTTMP4Encoder
+    object.WebVTTMP4Decoder = WebVTTMP4Decoder
+  }
+  if (typeof window !== 'undefined') exportify(window);
+  if (typeof exports !== 'undefined') exportify(exports);
+})()
@@ -15,194 +15,401 @@
     alignment:"center",
   };
 
-  var WebVTTParser = function(entities) {
-    if (!entities) {
-      entities = {
-        "&amp": "&",
-        "&lt": "<",
-        "&gt": ">",
-        "&lrm": "\u200e",
-        "&rlm": "\u200f",
-        "&nbsp": "\u00A0"
-      }
-    }
-    this.entities = entities
-    this.parse = function(input, mode) {
-      // global search and replace for \0
-      input = input.replace(/\0/g, '\uFFFD');
-      var NEWLINE = /\r\n|\r|\n/,
-          startTime = Date.now(),
-          linePos = 0,
-          lines = input.split(NEWLINE),
-          alreadyCollected = false,
-          styles = [],
-          cues = [],
-          errors = []
-      function err(message, col) {
-        errors.push({message:message, line:linePos+1, col:col})
-      }
-
-      var line = lines[linePos],
-          lineLength = line.length,
-          signature = "WEBVTT",
-          bom = 0,
-          signature_length = signature.length
-
-      /* Byte order mark */
-      if (line[0] === "\ufeff") {
-        bom = 1
-        signature_length += 1
-      }
-      /* SIGNATURE */
-      if (
-        lineLength < signature_length ||
-        line.indexOf(signature) !== 0+bom ||
-        lineLength > signature_length &&
-        line[signature_length] !== " " &&
-        line[signature_length] !== "\t"
-      ) {
-        err("No valid signature. (File needs to start with \"WEBVTT\".)")
-      }
+  var defaultRegionSettings = {
+    id:"",
+    width:100,
+    lines:3,
+    regionAnchorX:0,
+    regionAnchorY:100,
+    viewportAnchorX:0,
+    viewportAnchorY:100,
+    scroll:"",
+  };
 
-      linePos++
+  // As in html-entities.json, with the legacy forms without a semicolon that HTML also reads
+  var defaultEntities = {
+    "&amp;": "&",
+    "&amp": "&",
+    "&lt;": "<",
+    "&lt": "<",
+    "&gt;": ">",
+    "&gt": ">",
+    "&lrm;": "\u200e",
+    "&rlm;": "\u200f",
+    "&nbsp;": "\u00A0",
+    "&nbsp": "\u00A0"
+  }
 
-      /* HEADER */
-      while(lines[linePos] != "" && lines[linePos] != undefined) {
-        err("No blank line after the signature.")
-        if(lines[linePos].indexOf("-->") != -1) {
-          alreadyCollected = true
-          break
+  /* Prefix tries of the names of entity tables, for the longest match HTML asks for. A node has
+     the value of the name ending there, if any, and the nodes for the next characters. */
+  var entityTries = new WeakMap()
+  function entityTrie(entities) {
+    if(!entityTries.has(entities)) {
+      var root = {value:undefined, next:Object.create(null)}
+      for(var name in entities) {
+        var node = root
+        // Names start with "&"
+        for(var i = 1; i < name.length; i++) {
+          if(!node.next[name[i]])
+            node.next[name[i]] = {value:undefined, next:Object.create(null)}
+          node = node.next[name[i]]
         }
-        linePos++
+        node.value = entities[name]
       }
+      entityTries.set(entities, root)
+    }
+    return entityTries.get(entities)
+  }
 
-      /* CUE LOOP */
-      while(lines[linePos] != undefined) {
-        var cue
-        while(!alreadyCollected && lines[linePos] == "") {
-          linePos++
-        }
-        if(!alreadyCollected && lines[linePos] == undefined)
-          break
-
-        /* CUE CREATION */
-        cue = Object.assign({}, defaultCueSettings, {
-          id:"",
-          startTime:0,
-          endTime:0,
-          pauseOnExit:false,
-          direction:"horizontal",
-          snapToLines:true,
-          linePosition:"auto",
-          lineAlign:"start",
-          textPosition:"auto",
-          positionAlign:"auto",
-          size:100,
-          alignment:"center",
-          text:"",
-          tree:null
-        })
-
-        var parseTimings = true
+  /* DIAGNOSTICS
+     Every error and warning has a stable code, see diagnostics.md. */
+  var diagnostics = {
+    "encoding-invalid": {severity:"error", message:"Invalid byte sequence, replaced with U+FFFD."},
+    "encoding-utf16": {severity:"error", message:"File is UTF-16; WebVTT files must be UTF-8."},
+    "encoding-legacy": {severity:"error", message:"File is not UTF-8 and was read as Windows-1252; WebVTT files must be UTF-8."},
+    "signature-invalid": {severity:"error", message:"No valid signature. (File needs to start with \"WEBVTT\".)"},
+    "header-blank-line-missing": {severity:"error", message:"No blank line after the signature."},
+    "timestamp-map-invalid": {severity:"error", message:"X-TIMESTAMP-MAP must be of the form MPEGTS:<number>,LOCAL:<timestamp>."},
+    "comment-timestamp": {severity:"error", message:"Cannot have timestamp in a comment."},
+    "style-timestamp": {severity:"error", message:"Cannot have timestamp in a style block."},
+    "style-after-cue": {severity:"error", message:"Style blocks cannot appear after the first cue."},
+    "style-comment-unclosed": {severity:"error", message:"CSS comment is not closed."},
+    "style-rule-block-missing": {severity:"error", message:"Selector needs to be followed by a declaration block."},
+    "style-block-unclosed": {severity:"error", message:"CSS block is not closed."},
+    "style-declaration-invalid": {severity:"error", message:"CSS declaration needs a property and a value."},
+    "style-selector-not-cue": {severity:"error", message:"Selector needs to start with ::cue or ::cue-region."},
+    "style-selector-invalid": {severity:"error", message:"Selector cannot be parsed."},
+    "style-selector-tag-unknown": {severity:"error", message:"Cue text has no such element. (Only c, i, b, u, ruby, rt, v and lang.)"},
+    "style-property-not-allowed": {severity:"error", message:"Property does not apply here."},
+    "style-class-unused": {severity:"warning", message:"No cue uses this class."},
+    "style-voice-unused": {severity:"warning", message:"No cue has this voice."},
+    "style-rule-unused": {severity:"warning", message:"No cue matches this rule."},
+    "region-timestamp": {severity:"error", message:"Cannot have timestamp in a region block."},
+    "region-after-cue": {severity:"error", message:"Region blocks cannot appear after the first cue."},
+    "cue-identifier-standalone": {severity:"error", message:"Cue identifier cannot be standalone."},
+    "cue-identifier-timings-missing": {severity:"error", message:"Cue identifier needs to be followed by timestamp."},
+    "cue-blank-line-missing": {severity:"error", message:"Blank line missing before cue."},
+    "region-setting-invalid": {severity:"error", message:"Invalid region setting."},
+    "region-id-arrow": {severity:"error", message:"Region identifier cannot contain \"-->\"."},
+    "region-width-invalid": {severity:"error", message:"Region width must be a percentage between 0 and 100%."},
+    "region-lines-invalid": {severity:"error", message:"Region lines must be a non-negative integer."},
+    "region-anchor-invalid": {severity:"error", message:"Region anchor must be two percentages between 0 and 100% separated by a comma."},
+    "region-viewport-anchor-invalid": {severity:"error", message:"Viewport anchor must be two percentages between 0 and 100% separated by a comma."},
+    "region-scroll-invalid": {severity:"error", message:"Scroll can only be set to 'up'."},
+    "timestamp-missing": {severity:"error", message:"No timestamp found."},
+    "timestamp-start-not-digit": {severity:"error", message:"Timestamp must start with a character in the range 0-9."},
+    "timestamp-unit-separator-missing": {severity:"error", message:"No time unit separator found."},
+    "timestamp-two-digits": {severity:"error", message:"Must be exactly two digits."},
+    "timestamp-seconds-missing": {severity:"error", message:"No seconds found or minutes is greater than 59."},
+    "timestamp-decimal-separator-missing": {severity:"error", message:"No decimal separator (\".\") found."},
+    "timestamp-milliseconds-digits": {severity:"error", message:"Milliseconds must be given in three digits."},
+    "timestamp-minutes-overflow": {severity:"error", message:"You cannot have more than 59 minutes."},
+    "timestamp-seconds-overflow": {severity:"error", message:"You cannot have more than 59 seconds."},
+    "timestamp-trailing-characters": {severity:"error", message:"Timestamp must not have trailing characters."},
+    "cue-start-order": {severity:"error", message:"Start timestamp is not greater than or equal to start timestamp of previous cue."},
+    "timestamp-arrow-whitespace-before": {severity:"error", message:"Timestamp not separated from '-->' by whitespace."},
+    "timestamp-arrow-missing": {severity:"error", message:"No valid timestamp separator found."},
+    "timestamp-arrow-whitespace-after": {severity:"error", message:"'-->' not separated from timestamp by whitespace."},
+    "cue-end-before-start": {severity:"error", message:"End timestamp is not greater than start timestamp."},
+    "setting-duplicate": {severity:"error", message:"Duplicate setting."},
+    "setting-value-missing": {severity:"error", message:"No value for setting defined."},
+    "setting-vertical-invalid": {severity:"error", message:"Writing direction can only be set to 'rl' or 'lr'."},
+    "setting-line-invalid": {severity:"error", message:"Line position takes a number or percentage."},
+    "setting-line-minus": {severity:"error", message:"Line position can only have '-' at the start."},
+    "setting-line-percent": {severity:"error", message:"Line position can only have '%' at the end."},
+    "setting-line-negative-percentage": {severity:"error", message:"Line position cannot be a negative percentage."},
+    "setting-line-percentage-overflow": {severity:"error", message:"Line position cannot be >100%."},
+    "setting-line-not-number": {severity:"error", message:"Line position needs to be a number"},
+    "setting-line-align-invalid": {severity:"error", message:"Line alignment needs to be one of start, center or end"},
+    "setting-position-not-percentage": {severity:"error", message:"Text position must be a percentage."},
+    "setting-position-range": {severity:"error", message:"Text position needs to be between 0 and 100%."},
+    "setting-position-not-number": {severity:"error", message:"Text position needs to be a number"},
+    "setting-position-align-invalid": {severity:"error", message:"Position alignment needs to be one of line-left, center or line-right"},
+    "setting-size-not-percentage": {severity:"error", message:"Size must be a percentage."},
+    "setting-size-overflow": {severity:"error", message:"Size cannot be >100%."},
+    "setting-size-not-number": {severity:"error", message:"Size needs to be a number"},
+    "setting-size-range": {severity:"error", message:"Size needs to be between 0 and 100%."},
+    "setting-align-invalid": {severity:"error", message:"Alignment can only be set to one of start, center, end, left, right."},
+    "setting-region-not-found": {severity:"warning", message:"No region with this identifier defined."},
+    "setting-invalid": {severity:"error", message:"Invalid setting."},
+    "cue-text-chapters-start-tag": {severity:"error", message:"Start tags not allowed in chapter title text."},
+    "cue-text-chapters-end-tag": {severity:"error", message:"End tags not allowed in chapter title text."},
+    "cue-text-chapters-timestamp": {severity:"error", message:"Timestamp not allowed in chapter title text."},
+    "cue-text-annotation-not-allowed": {severity:"error", message:"Only <v> and <lang> can have an annotation."},
+    "cue-text-voice-nested": {severity:"error", message:"<v> cannot be nested inside itself."},
+    "cue-text-voice-annotation-missing": {severity:"error", message:"<v> requires an annotation."},
+    "cue-text-start-tag-invalid": {severity:"error", message:"Incorrect start tag."},
+    "cue-text-end-tag-invalid": {severity:"error", message:"Incorrect end tag."},
+    "cue-text-end-tag-missing": {severity:"error", message:"Required end tag missing."},
+    "cue-text-timestamp-range": {severity:"error", message:"Timestamp must be between start timestamp and end timestamp."},
+    "cue-text-timestamp-order": {severity:"error", message:"Timestamp must be greater than any previous timestamp."},
+    "cue-text-escape-invalid": {severity:"error", message:"Incorrect escape."},
+    "cue-text-ruby-text-outside": {severity:"error", message:"Ruby text (rt) must be directly inside ruby."},
+    "cue-text-ruby-nested": {severity:"error", message:"Ruby cannot be inside ruby."},
+    "cue-text-ruby-base-missing": {severity:"error", message:"Ruby text must follow the base text it annotates."},
+    "cue-text-ruby-text-empty": {severity:"error", message:"Ruby text is empty."},
+    "cue-text-ruby-text-missing": {severity:"error", message:"Ruby has no ruby text."},
+    "cue-text-ruby-base-unannotated": {severity:"error", message:"Base text after the last ruby text has no annotation."},
+    "cue-text-reference-unknown": {severity:"error", message:"Unknown named character reference."},
+    "cue-text-reference-semicolon-missing": {severity:"error", message:"Character reference must end with \";\"."},
+    "cue-text-reference-digits-missing": {severity:"error", message:"Numeric character reference needs digits."},
+    "cue-text-reference-null": {severity:"error", message:"Character reference to U+0000, replaced with U+FFFD."},
+    "cue-text-reference-out-of-range": {severity:"error", message:"Character reference beyond U+10FFFF, replaced with U+FFFD."},
+    "cue-text-reference-surrogate": {severity:"error", message:"Character reference to a surrogate, replaced with U+FFFD."},
+    "cue-text-reference-noncharacter": {severity:"error", message:"Character reference to a noncharacter."},
+    "cue-text-reference-control": {severity:"error", message:"Character reference to a control character."},
+    "metadata-payload-invalid": {severity:"error", message:"Metadata payload could not be decoded."},
+    "chapter-title-empty": {severity:"error", message:"Chapter title cannot be empty."},
+    "chapter-overlap": {severity:"error", message:"Chapter overlaps the previous chapter without being nested in it."},
+    "chapter-order": {severity:"error", message:"Chapter starts before the previous chapter."},
+    "internal-error": {severity:"error", message:"Never happens."},
+    "srt-timestamp-invalid": {severity:"error", message:"Timestamp must be of the form hours:minutes:seconds,milliseconds."},
+    "srt-tag-unsupported": {severity:"warning", message:"Unsupported tag."},
+    "srt-font-attribute-unsupported": {severity:"warning", message:"Unsupported font attribute."},
+    "srt-number-invalid": {severity:"error", message:"Cue number must be an integer."},
+    "srt-number-sequence": {severity:"warning", message:"Cue number does not follow the number of the previous cue."},
+    "srt-number-missing": {severity:"error", message:"Cue number missing."},
+    "srt-timings-missing": {severity:"error", message:"Cue number needs to be followed by timestamp."},
+    "srt-coordinates-unsupported": {severity:"warning", message:"Cue coordinates are not supported."},
+    "lint-reading-speed": {severity:"warning", message:"Reading speed is above the limit."},
+    "lint-line-length": {severity:"warning", message:"Line has more characters than the limit."},
+    "lint-line-count": {severity:"warning", message:"Cue has more lines than the limit."},
+    "lint-duration-short": {severity:"warning", message:"Cue is shown for less than the minimum duration."},
+    "lint-duration-long": {severity:"warning", message:"Cue is shown for more than the maximum duration."},
+    "lint-overlap": {severity:"warning", message:"Cue overlaps the cue before."},
+    "lint-gap-short": {severity:"warning", message:"Gap to the cue before is less than the minimum."}
+  }
 
-        if(lines[linePos].indexOf("-->") == -1) {
-          cue.id = lines[linePos]
+  /* Creates the diagnostic for code with a range of lines and columns, unless options.severities
+     turns it "off" (it can also make it an "error", "warning" or "info"). */
+  function createDiagnostic(code, line, col, endLine, endCol, options) {
+    var severity = (options && options.severities && options.severities[code]) || diagnostics[code].severity
+    if(severity == "off")
+      return
+    return {code:code, severity:severity, message:diagnostics[code].message, line:line, col:col, endLine:endLine, endCol:endCol}
+  }
 
-          /* COMMENTS
-             Not part of the specification's parser as these would just be ignored. However,
-             we want them to be conforming and not get "Cue identifier cannot be standalone".
-           */
-          if(/^NOTE($|[ \t])/.test(cue.id)) { // .startsWith fails in Chrome
-            linePos++
-            while(lines[linePos] != "" && lines[linePos] != undefined) {
-              if(lines[linePos].indexOf("-->") != -1)
-                err("Cannot have timestamp in a comment.")
-              linePos++
-            }
-            continue
-          }
+  /* With options.payloads (or a decoder), metadata cue text is not parsed as markup but decoded
+     into cue.payload */
+  function decodesPayloads(mode, options) {
+    return mode == "metadata" && !!options && !!(options.payloads || options.decoder)
+  }
 
-          /* STYLES */
-          if(/^STYLE($|[ \t])/.test(cue.id)) {
-            var style = []
-            var invalid = false
-            linePos++
-            while(lines[linePos] != "" && lines[linePos] != undefined) {
-              if(lines[linePos].indexOf("-->") != -1) {
-                err("Cannot have timestamp in a style block.")
-                invalid = true
-              }
-              style.push(lines[linePos])
-              linePos++
-            }
-            if(cues.length) {
-              err("Style blocks cannot appear after the first cue.")
-              continue
-            }
-            if (!invalid) {
-              styles.push(style.join('\n'))
-            }
-            continue
-          }
+  /* Decoders for the payload of metadata cues, chosen with options.decoder. A decoder takes the
+     cue text and returns its value, or throws an Error with the offset into the text where
+     decoding failed. A function can be given as decoder too. */
+  var payloadDecoders = {
+    json:function(text) {
+      try {
+        return JSON.parse(text)
+      } catch(e) {
+        var m = e.message.match(/at position (\d+)/),
+            error = new Error(e.message.replace(/ in JSON at position \d+.*/, "").replace(/ of JSON input$/, ""))
+        error.offset = m ? parseInt(m[1], 10) : text.length
+        throw error
+      }
+    },
+    // key=value on each line; the last value of a key wins
+    keyvalue:function(text) {
+      var result = {},
+          offset = 0,
+          lines = text.split("\n")
+      for(var i = 0; i < lines.length; offset += lines[i].length + 1, i++) {
+        var separator = lines[i].indexOf("=")
+        if(separator < 1 || lines[i].slice(0, separator).trim() == "") {
+          var error = new Error("Expected key=value")
+          error.offset = offset
+          error.length = lines[i].length
+          throw error
+        }
+        result[lines[i].slice(0, separator).trim()] = lines[i].slice(separator + 1).trim()
+      }
+      return result
+    },
+    text:function(text) {
+      return text
+    }
+  }
 
-          linePos++
+  /* BYTE INPUT
+     Decodes the chunks of a Uint8Array (or Buffer) input for WebVTTStreamParser, as UTF-8 the
+     way the Encoding Standard does: each invalid sequence becomes one U+FFFD. With encoding
+     "auto" (the default), input starting with a UTF-16 byte order mark or with the zero bytes
+     of UTF-16 text is read as UTF-16, and input whose first non-ASCII bytes are not UTF-8 is
+     read as Windows-1252. report(code, offset, line, col) gets the byte offset of each problem
+     and where it ended up in the decoded text. */
+  var windows1252 = "\u20AC\u0081\u201A\u0192\u201E\u2026\u2020\u2021\u02C6\u2030\u0160\u2039\u0152\u008D\u017D\u008F"
+    + "\u0090\u2018\u2019\u201C\u201D\u2022\u2013\u2014\u02DC\u2122\u0161\u203A\u0153\u009D\u017E\u0178"
 
-          if(lines[linePos] == "" || lines[linePos] == undefined) {
-            err("Cue identifier cannot be standalone.")
-            continue
-          }
+  var ByteDecoder = function(encoding, report) {
+    var auto = encoding != "utf-8",
+        current = null,
+        offset = 0,
+        line = 1,
+        col = 1,
+        afterCR = false,
+        // Bytes of the sequence being decoded, or of the start of the input while sniffing
+        pending = [],
+        needed = 0,
+        codePoint = 0,
+        lower = 0x80,
+        upper = 0xBF,
+        seenMultibyte = false,
+        result = ""
+    if(encoding && encoding != "auto" && encoding != "utf-8")
+      throw new RangeError("Unknown encoding " + encoding + ".")
 
-          if(lines[linePos].indexOf("-->") == -1) {
-            parseTimings = false
-            err("Cue identifier needs to be followed by timestamp.")
-            continue
-          }
+    function output(text) {
+      for(var i = 0; i < text.length; i++) {
+        if(text[i] == "\r" || (text[i] == "\n" && !afterCR)) {
+          line++
+          col = 1
+        } else if(text[i] != "\n") {
+          col++
         }
-
-        /* TIMINGS */
-        alreadyCollected = false
-        var timings = new WebVTTCueTimingsAndSettingsParser(lines[linePos], err)
-        var previousCueStart = 0
-        if(cues.length > 0) {
-          previousCueStart = cues[cues.length-1].startTime
+        afterCR = text[i] == "\r"
+      }
+      result += text
+    }
+    function invalid(at) {
+      report("encoding-invalid", at, line, col)
+      output("\uFFFD")
+    }
+    function sniff(bytes) {
+      if(!auto || bytes.length < 2)
+        return "utf-8"
+      if((bytes[0] == 0xFF && bytes[1] == 0xFE) || (bytes[0] != 0 && bytes[1] == 0))
+        return "utf-16le"
+      if((bytes[0] == 0xFE && bytes[1] == 0xFF) || (bytes[0] == 0 && bytes[1] != 0))
+        return "utf-16be"
+      return "utf-8"
+    }
+    function windows(byte) {
+      output(byte < 0x80 ? String.fromCharCode(byte) : byte < 0xA0 ? windows1252[byte - 0x80] : String.fromCharCode(byte))
+    }
+    // The first non-ASCII bytes were not UTF-8: they and the rest are Windows-1252
+    function legacy(bytes, at) {
+      report("encoding-legacy", at, line, col)
+      current = "windows-1252"
+      bytes.forEach(windows)
+    }
+    function utf8(byte, at) {
+      if(needed == 0) {
+        if(byte <= 0x7F) {
+          output(String.fromCharCode(byte))
+        } else if(byte >= 0xC2 && byte <= 0xDF) {
+          needed = 1
+          codePoint = byte & 0x1F
+        } else if(byte >= 0xE0 && byte <= 0xEF) {
+          if(byte == 0xE0)
+            lower = 0xA0
+          if(byte == 0xED)
+            upper = 0x9F
+          needed = 2
+          codePoint = byte & 0xF
+        } else if(byte >= 0xF0 && byte <= 0xF4) {
+          if(byte == 0xF0)
+            lower = 0x90
+          if(byte == 0xF4)
+            upper = 0x8F
+          needed = 3
+          codePoint = byte & 0x7
+        } else if(auto && !seenMultibyte) {
+          legacy([byte], at)
+        } else {
+          invalid(at)
         }
-        if(parseTimings && !timings.parse(cue, previousCueStart)) {
-          /* BAD CUE */
-
-          cue = null
-          linePos++
-
-          /* BAD CUE LOOP */
-          while(lines[linePos] != "" && lines[linePos] != undefined) {
-            if(lines[linePos].indexOf("-->") != -1) {
-              alreadyCollected = true
-              break
-            }
-            linePos++
-          }
-          continue
+        pending = needed ? [byte] : []
+        return
+      }
+      var start = at - pending.length
+      if(byte < lower || byte > upper) {
+        needed = 0
+        lower = 0x80
+        upper = 0xBF
+        var bytes = pending
+        pending = []
+        if(auto && !seenMultibyte)
+          return legacy(bytes.concat([byte]), start)
+        invalid(start)
+        // The byte starts the next sequence
+        return utf8(byte, at)
+      }
+      lower = 0x80
+      upper = 0xBF
+      codePoint = (codePoint << 6) | (byte & 0x3F)
+      pending.push(byte)
+      if(pending.length == needed + 1) {
+        needed = 0
+        pending = []
+        seenMultibyte = true
+        output(String.fromCodePoint(codePoint))
+      }
+    }
+    function decode(bytes) {
+      for(var i = 0; i < bytes.length; i++, offset++) {
+        if(current == "windows-1252") {
+          windows(bytes[i])
+        } else if(current == "utf-8") {
+          utf8(bytes[i], offset)
+        } else if(pending.length) {
+          var unit = current == "utf-16le" ? pending[0] | bytes[i] << 8 : pending[0] << 8 | bytes[i]
+          pending = []
+          output(String.fromCharCode(unit))
+        } else {
+          pending = [bytes[i]]
         }
-        linePos++
+      }
+    }
 
-        /* CUE TEXT LOOP */
-        while(lines[linePos] != "" && lines[linePos] != undefined) {
-          if(lines[linePos].indexOf("-->") != -1) {
-            err("Blank line missing before cue.")
-            alreadyCollected = true
-            break
-          }
-          if(cue.text != "")
-            cue.text += "\n"
-          cue.text += lines[linePos]
-          linePos++
+    // Returns the text of chunk, or of what was left when chunk is empty and last is true
+    this.decode = function(chunk, last) {
+      result = ""
+      if(!current) {
+        pending = pending.concat(Array.from(chunk))
+        if(pending.length < 2 && !last)
+          return ""
+        chunk = pending
+        pending = []
+        current = sniff(chunk)
+        offset = 0
+        if(current != "utf-8")
+          report("encoding-utf16", 0, 1, 1)
+      }
+      decode(chunk)
+      if(last && pending.length) {
+        if(current == "utf-8" && auto && !seenMultibyte) {
+          legacy(pending, offset - pending.length)
+        } else {
+          invalid(offset - pending.length)
         }
-
-        /* CUE TEXT PROCESSING */
-        var cuetextparser = new WebVTTCueTextParser(cue.text, err, mode, entities)
-        cue.tree = cuetextparser.parse(cue.startTime, cue.endTime)
-        cues.push(cue)
+        pending = []
+        needed = 0
       }
-      cues.sort(function(a, b) {
+      return result
+    }
+  }
+
+  var WebVTTParser = function(entities, options) {
+    if (!entities) {
+      entities = defaultEntities
+    }
+    this.entities = entities
+    this.parse = function(input, mode) {
+      var startTime = Date.now(),
+          result = {cues:[], errors:[], time:0, styles:[], styleRules:[], regions:[], chapters:[], comments:[], header:"", timestampMap:null},
+          parser = new WebVTTStreamParser(entities, mode, options)
+      parser.onheader = function(header) { result.header = header }
+      parser.oncue = function(cue) { result.cues.push(cue) }
+      parser.onstyle = function(style) { result.styles.push(style) }
+      parser.oncomment = function(comment) { result.comments.push(comment) }
+      parser.onerror = function(error) { result.errors.push(error) }
+      parser.feed(input).flush()
+      result.regions = parser.regions
+      result.styleRules = parser.styleRules
+      result.chapters = parser.chapters
+      result.timestampMap = parser.timestampMap
+      result.cues.sort(function(a, b) {
         if (a.startTime < b.startTime)
           return -1
         if (a.startTime > b.startTime)
@@ -214,142 +421,859 @@
         return 0
       })
       /* END */
-      return {cues:cues, errors:errors, time:Date.now()-startTime, styles: styles}
+      result.time = Date.now()-startTime
+      return result
     }
   }
 
-  var WebVTTCueTimingsAndSettingsParser = function(line, errorHandler) {
-    var SPACE = /[\u0020\t\f]/,
-        NOSPACE = /[^\u0020\t\f]/,
-        line = line,
-        pos = 0,
-        err = function(message) {
-          errorHandler(message, pos+1)
-        },
-        spaceBeforeSetting = true
-    function skip(pattern) {
-      while(
-        line[pos] != undefined &&
-        pattern.test(line[pos])
-      ) {
-        pos++
+  /* Incremental parser for input that arrives in chunks, like the specification's parser
+     for a progressive stream. Blocks are reported through the on* callbacks as soon as they
+     are complete; flush() ends the input. */
+  var WebVTTStreamParser = function(entities, mode, options) {
+    if (!entities) {
+      entities = defaultEntities
+    }
+    var self = this,
+        NEWLINE = /\r\n|\r|\n/,
+        buffer = "",
+        linePos = 0,
+        currentLine = "",
+        blockLinePos = 0,
+        blockLine = "",
+        cueTextLinePos = 0,
+        timingsLine = "",
+        state = "signature",
+        header = "",
+        seenCue = false,
+        previousCueStart = 0,
+        pendingComments = [],
+        openChapters = [],
+        // Every chapter so far by start time, longer ones first
+        sortedChapters = [],
+        previousChapter = null,
+        // What cue text uses, for checking the selectors of STYLE blocks
+        used = {tag:new Set(), class:new Set(), voice:new Set(), id:new Set(), region:new Set(), cues:0},
+        selectors = [],
+        decoder = new ByteDecoder(options && options.encoding, decodeErr),
+        cue,
+        comment,
+        style,
+        region,
+        invalid
+    // Without a column, the whole line is reported
+    function err(code, col, endCol) {
+      if(col == undefined) {
+        col = 1
+        endCol = currentLine.length + 1
       }
+      report(createDiagnostic(code, linePos+1, col, linePos+1, endCol == undefined ? col + 1 : endCol, options))
     }
-    function collect(pattern) {
-      var str = ""
-      while(
-        line[pos] != undefined &&
-        pattern.test(line[pos])
+    // Problems with a whole block are reported on its first line
+    function blockErr(code) {
+      report(createDiagnostic(code, blockLinePos+1, 1, blockLinePos+1, blockLine.length+1, options))
+    }
+    // The cue text parser gives columns into the cue text, which starts on the line after the timings
+    function cueTextErr(code, col, endCol) {
+      textErr(code, cue.text, cueTextLinePos, col, endCol)
+    }
+    function textErr(code, text, firstLinePos, col, endCol) {
+      var start = textPosition(text, firstLinePos, col-1),
+          end = textPosition(text, firstLinePos, endCol-1)
+      report(createDiagnostic(code, start.line, start.col, end.line, end.col, options))
+    }
+    function textPosition(text, firstLinePos, offset) {
+      var lines = text.slice(0, offset).split("\n"),
+          last = lines[lines.length-1]
+      // Offsets past the end of the text are past the end of its last line
+      return {line:firstLinePos + lines.length, col:last.length + 1 + Math.max(0, offset - text.length)}
+    }
+    function report(error) {
+      if (error && self.onerror)
+        self.onerror(error)
+    }
+    // Problems with byte input also have their byte offset
+    function decodeErr(code, offset, line, col) {
+      var error = createDiagnostic(code, line, col, line, col + 1, options)
+      if (error) {
+        error.offset = offset
+        report(error)
+      }
+    }
+    function emit(callback, value) {
+      if (self[callback])
+        self[callback](value)
+    }
+
+    this.entities = entities
+    this.regions = []
+    this.styleRules = []
+    // In chapters mode, the chapters in the file with the ones nested in them as children
+    this.chapters = []
+    // The X-TIMESTAMP-MAP of HLS segments, as {mpegts, local}
+    this.timestampMap = null
+    this.onheader = null
+    this.oncue = null
+    this.onstyle = null
+    this.onregion = null
+    this.oncomment = null
+    this.onerror = null
+
+    /* SIGNATURE */
+    function signature(line) {
+      var lineLength = line.length,
+          signature = "WEBVTT",
+          bom = 0,
+          signature_length = signature.length
+
+      /* Byte order mark */
+      if (line[0] === "\ufeff") {
+        bom = 1
+        signature_length += 1
+      }
+      if (
+        lineLength < signature_length ||
+        line.indexOf(signature) !== 0+bom ||
+        lineLength > signature_length &&
+        line[signature_length] !== " " &&
+        line[signature_length] !== "\t"
       ) {
-        str += line[pos]
-        pos++
+        err("signature-invalid")
+      } else {
+        header = line.slice(signature_length + 1)
       }
-      return str
+      state = "header"
     }
-    /* http://dev.w3.org/html5/webvtt/#collect-a-webvtt-timestamp */
-    function timestamp() {
-      var units = "minutes",
-          val1,
-          val2,
-          val3,
-          val4
-      // 3
-      if(line[pos] == undefined) {
-        err("No timestamp found.")
+
+    /* CUE CREATION */
+    function createCue(id) {
+      cue = Object.assign({}, defaultCueSettings, {
+        id:id,
+        startTime:0,
+        endTime:0,
+        pauseOnExit:false,
+        direction:"horizontal",
+        snapToLines:true,
+        linePosition:"auto",
+        lineAlign:"start",
+        textPosition:"auto",
+        positionAlign:"auto",
+        size:100,
+        alignment:"center",
+        region:null,
+        text:"",
+        tree:null
+      })
+    }
+
+    function block(line) {
+      blockLinePos = linePos
+      blockLine = line
+      if(line.indexOf("-->") != -1) {
+        createCue("")
+        timings(line)
         return
       }
-      // 4
-      if(!/\d/.test(line[pos])) {
-        err("Timestamp must start with a character in the range 0-9.")
+
+      /* COMMENTS
+         Not part of the specification's parser as these would just be ignored. However,
+         we want them to be conforming and not get "Cue identifier cannot be standalone".
+       */
+      if(/^NOTE($|[ \t])/.test(line)) { // .startsWith fails in Chrome
+        comment = {text:line.slice(5), cue:null, style:null, region:null}
+        state = "comment"
         return
       }
-      // 5-7
-      val1 = collect(/\d/)
-      if(val1.length > 2 || parseInt(val1, 10) > 59) {
-        units = "hours"
-      }
-      // 8
-      if(line[pos] != ":") {
-        err("No time unit separator found.")
+
+      /* STYLES */
+      if(/^STYLE($|[ \t])/.test(line)) {
+        style = []
+        invalid = false
+        state = "style"
         return
       }
-      pos++
-      // 9-11
-      val2 = collect(/\d/)
-      if(val2.length != 2) {
-        err("Must be exactly two digits.")
+
+      /* REGIONS */
+      if(/^REGION($|[ \t])/.test(line)) {
+        region = Object.assign({}, defaultRegionSettings)
+        invalid = false
+        state = "region"
         return
       }
-      // 12
-      if(units == "hours" || line[pos] == ":") {
-        if(line[pos] != ":") {
-          err("No seconds found or minutes is greater than 59.")
-          return
+
+      createCue(line)
+      state = "id"
+    }
+
+    function endBlock() {
+      if(state == "comment") {
+        // Comments are kept with the cue, style or region block that follows them
+        pendingComments.push(comment)
+        emit("oncomment", comment)
+      } else if(state == "style") {
+        if(seenCue) {
+          blockErr("style-after-cue")
+        } else if (!invalid) {
+          parseStyle(style.join('\n'))
+          keepComments("style", style.join('\n'))
+          emit("onstyle", style.join('\n'))
         }
-        pos++
-        val3 = collect(/\d/)
-        if(val3.length != 2) {
-          err("Must be exactly two digits.")
-          return
+      } else if(state == "region") {
+        if(seenCue) {
+          blockErr("region-after-cue")
+        } else if (!invalid) {
+          // A later region with the same identifier replaces the earlier one
+          for(var i = self.regions.length - 1; i >= 0; i--) {
+            if(self.regions[i].id === region.id)
+              self.regions.splice(i, 1)
+          }
+          self.regions.push(region)
+          keepComments("region", region)
+          emit("onregion", region)
         }
-      } else {
-        if (val1.length != 2) {
-          err("Must be exactly two digits.")
-          return
+      } else if(state == "id") {
+        blockErr("cue-identifier-standalone")
+      } else if(state == "cue text") {
+        endCue()
+      }
+      state = "block"
+    }
+
+    /* STYLES */
+    function parseStyle(text) {
+      var firstLinePos = blockLinePos+1,
+          rules = new WebVTTStyleParser(text, function(code, col, endCol) {
+            textErr(code, text, firstLinePos, col, endCol)
+          }).parse()
+      function position(item) {
+        var start = textPosition(text, firstLinePos, item.start),
+            end = textPosition(text, firstLinePos, item.end)
+        return {line:start.line, col:start.col, endLine:end.line, endCol:end.col}
+      }
+      for(var i = 0; i < rules.length; i++) {
+        var rule = Object.assign({selector:rules[i].selector, selectors:[], declarations:rules[i].declarations},
+                                 rules[i].media ? {media:rules[i].media} : {}, position(rules[i]))
+        for(var j = 0; j < rules[i].selectors.length; j++) {
+          var selector = rules[i].selectors[j]
+          rule.selectors.push({text:selector.text, pseudoElement:selector.pseudoElement, argument:selector.argument})
+          selectors.push({rule:rule, pseudoElement:selector.pseudoElement, references:selector.references.map(function(reference) {
+            return Object.assign({type:reference.type, name:reference.name}, position(reference))
+          })})
         }
-        val3 = val2
-        val2 = val1
-        val1 = "0"
+        self.styleRules.push(rule)
       }
-      // 13
-      if(line[pos] != ".") {
-        err("No decimal separator (\".\") found.")
-        return
+    }
+    function useTree(nodes) {
+      for(var i = 0; i < nodes.length; i++) {
+        if(nodes[i].type != "object")
+          continue
+        used.tag.add(nodes[i].name)
+        for(var j = 0; j < nodes[i].classes.length; j++)
+          used.class.add(nodes[i].classes[j])
+        if(nodes[i].name == "v")
+          used.voice.add(nodes[i].value)
+        useTree(nodes[i].children)
       }
-      pos++
-      // 14-16
-      val4 = collect(/\d/)
-      if(val4.length != 3) {
-        err("Milliseconds must be given in three digits.")
-        return
+    }
+    // Classes, voices and rules that no cue uses
+    function checkStyleUsage() {
+      var matched = new Set()
+      function diagnostic(code, item) {
+        report(createDiagnostic(code, item.line, item.col, item.endLine, item.endCol, options))
       }
-      // 17
-      if(parseInt(val2, 10) > 59) {
-        err("You cannot have more than 59 minutes.")
-        return
+      for(var i = 0; i < selectors.length; i++) {
+        var selector = selectors[i],
+            matches = used.cues > 0 && (selector.pseudoElement == "cue" || used.region.size > 0)
+        for(var j = 0; j < selector.references.length; j++) {
+          var reference = selector.references[j]
+          if(used[reference.type].has(reference.name))
+            continue
+          matches = false
+          if(reference.type == "class")
+            diagnostic("style-class-unused", reference)
+          else if(reference.type == "voice")
+            diagnostic("style-voice-unused", reference)
+        }
+        if(matches)
+          matched.add(selector.rule)
       }
-      if(parseInt(val3, 10) > 59) {
-        err("You cannot have more than 59 seconds.")
-        return
+      for(var i = 0; i < self.styleRules.length; i++) {
+        if(!matched.has(self.styleRules[i]))
+          diagnostic("style-rule-unused", self.styleRules[i])
       }
-      return parseInt(val1, 10) * 60 * 60 + parseInt(val2, 10) * 60 + parseInt(val3, 10) + parseInt(val4, 10) / 1000
     }
 
-    /* http://dev.w3.org/html5/webvtt/#parse-the-webvtt-settings */
-    function parseSettings(input, cue) {
-      var settings = input.split(SPACE),
-          seen = []
-      for(var i=0; i < settings.length; i++) {
-        if(settings[i] == "")
-          continue
-
-        var index = settings[i].indexOf(':'),
-            setting = settings[i].slice(0, index),
-            value = settings[i].slice(index + 1)
+    /* TIMINGS */
+    function timings(line) {
+      var timings = new WebVTTCueTimingsAndSettingsParser(line, err, self.regions)
+      if(!timings.parse(cue, previousCueStart)) {
+        /* BAD CUE */
+        cue = null
+        state = "bad cue"
+        return
+      }
+      state = "cue text"
+      cueTextLinePos = linePos+1
+      timingsLine = line
+    }
 
-        if(seen.indexOf(setting) != -1) {
-          err("Duplicate setting.")
+    /* CUE TEXT PROCESSING */
+    // Metadata cue text is not markup but a payload for the decoder
+    function decodePayload() {
+      var decoder = options.decoder || "json"
+      if(typeof decoder != "function") {
+        if(!payloadDecoders[decoder])
+          throw new Error("Unknown payload decoder " + decoder + ".")
+        decoder = payloadDecoders[decoder]
+      }
+      cue.payload = null
+      if(cue.text == "")
+        return
+      try {
+        cue.payload = decoder(cue.text)
+      } catch(e) {
+        var start = e.offset != undefined ? Math.min(e.offset, cue.text.length) : 0,
+            end = e.offset != undefined ? start + (e.length || 1) : cue.text.length,
+            from = textPosition(cue.text, cueTextLinePos, start),
+            to = textPosition(cue.text, cueTextLinePos, end),
+            error = createDiagnostic("metadata-payload-invalid", from.line, from.col, to.line, to.col, options)
+        if(error) {
+          error.message = error.message.replace(/\.$/, ": " + e.message + ".")
+          report(error)
         }
-        seen.push(setting)
+      }
+    }
+
+    /* Chapters end up in the tree nested in the open chapters that contain them. A chapter that
+       comes out of order is put in its place by start time and the tree built again. */
+    function addChapter() {
+      var title = ""
+      function walk(nodes) {
+        for(var i = 0; i < nodes.length; i++) {
+          if(nodes[i].type == "text")
+            title += nodes[i].value
+          else if(nodes[i].children)
+            walk(nodes[i].children)
+        }
+      }
+      // Reported on the timings line
+      function chapterErr(code) {
+        report(createDiagnostic(code, cueTextLinePos, 1, cueTextLinePos, timingsLine.length+1, options))
+      }
+      // Adds to the tree after the chapters before it, returning whether it overlaps one of them
+      function nest(chapter) {
+        var overlaps = false
+        while(openChapters.length) {
+          var last = openChapters[openChapters.length-1]
+          if(chapter.start >= last.start && chapter.end <= last.end)
+            break
+          overlaps = overlaps || last.end > chapter.start
+          openChapters.pop()
+        }
+        if(openChapters.length)
+          openChapters[openChapters.length-1].children.push(chapter)
+        else
+          self.chapters.push(chapter)
+        openChapters.push(chapter)
+        return overlaps
+      }
+      walk(cue.tree.children)
+      var chapter = {title:title.trim(), start:cue.startTime, end:cue.endTime, children:[], cue:cue},
+          index = sortedChapters.length,
+          overlaps
+      if(chapter.title == "")
+        chapterErr("chapter-title-empty")
+      if(previousChapter && chapter.start < previousChapter.start)
+        chapterErr("chapter-order")
+      previousChapter = chapter
+      while(index > 0 && (sortedChapters[index-1].start > chapter.start ||
+            sortedChapters[index-1].start == chapter.start && sortedChapters[index-1].end < chapter.end))
+        index--
+      sortedChapters.splice(index, 0, chapter)
+      if(index == sortedChapters.length - 1) {
+        overlaps = nest(chapter)
+      } else {
+        self.chapters.length = 0
+        openChapters = []
+        for(var i = 0; i < sortedChapters.length; i++) {
+          sortedChapters[i].children = []
+          if(nest(sortedChapters[i]) && sortedChapters[i] == chapter)
+            overlaps = true
+        }
+      }
+      if(overlaps)
+        chapterErr("chapter-overlap")
+    }
+
+    function endCue() {
+      // Cue order is checked in the file's own times
+      var startTime = cue.startTime
+      if(decodesPayloads(mode, options)) {
+        decodePayload()
+        mapTimes()
+      } else {
+        var cuetextparser = new WebVTTCueTextParser(cue.text, cueTextErr, mode, entities)
+        cue.tree = cuetextparser.parse(cue.startTime, cue.endTime)
+        mapTimes()
+      }
+      if(mode != "metadata") {
+        useTree(cue.tree.children)
+        used.cues++
+        used.id.add(cue.id)
+        if(cue.region)
+          used.region.add(cue.region.id)
+        if(mode == "chapters")
+          addChapter()
+      }
+      seenCue = true
+      previousCueStart = startTime
+      keepComments("cue", cue)
+      emit("oncue", cue)
+    }
+
+    function keepComments(key, block) {
+      for(var i = 0; i < pendingComments.length; i++) {
+        pendingComments[i][key] = block
+      }
+      pendingComments = []
+    }
+
+    /* HLS TIMESTAMP MAP
+       X-TIMESTAMP-MAP=MPEGTS:<90 kHz MPEG-TS time>,LOCAL:<cue time>, in either order, says which
+       cue time is at which MPEG-TS time. */
+    function timestampMap(line) {
+      var map = {},
+          fields = line.slice("X-TIMESTAMP-MAP=".length).split(",")
+      for(var i = 0; i < fields.length; i++) {
+        var m = /^(MPEGTS|LOCAL):(.*)$/.exec(fields[i]),
+            name = m && m[1].toLowerCase()
+        if(!m || name in map)
+          return err("timestamp-map-invalid")
+        if(name == "mpegts")
+          map.mpegts = /^\d+$/.test(m[2]) ? parseInt(m[2], 10) : undefined
+        else
+          map.local = new WebVTTCueTimingsAndSettingsParser(m[2], function() {}).parseTimestamp()
+        if(map[name] == undefined)
+          return err("timestamp-map-invalid")
+      }
+      if(map.mpegts == undefined || map.local == undefined)
+        return err("timestamp-map-invalid")
+      self.timestampMap = map
+    }
+
+    // With options.applyTimestampMap, cue times (and the timestamps in cue text) become MPEG-TS
+    // times in seconds
+    function mapTimes() {
+      if(!self.timestampMap || !options || !options.applyTimestampMap)
+        return
+      var offset = self.timestampMap.mpegts / 90000 - self.timestampMap.local
+      function map(seconds) {
+        return Math.round((seconds + offset) * 1000) / 1000
+      }
+      function walk(nodes) {
+        for(var i = 0; i < nodes.length; i++) {
+          if(nodes[i].type == "timestamp")
+            nodes[i].value = map(nodes[i].value)
+          if(nodes[i].children)
+            walk(nodes[i].children)
+        }
+      }
+      cue.startTime = map(cue.startTime)
+      cue.endTime = map(cue.endTime)
+      if(cue.tree)
+        walk(cue.tree.children)
+    }
+
+    function endHeader() {
+      emit("onheader", header)
+      state = "block"
+    }
+
+    function processLine(line) {
+      currentLine = line
+      if(state == "signature") {
+        signature(line)
+      } else if(line == "") {
+        if(state == "header") {
+          endHeader()
+        } else {
+          endBlock()
+        }
+      } else if(state == "header") {
+        if(/^X-TIMESTAMP-MAP=/.test(line)) {
+          timestampMap(line)
+          header += "\n" + line
+          return
+        }
+        err("header-blank-line-missing")
+        if(line.indexOf("-->") != -1) {
+          endHeader()
+          block(line)
+        } else {
+          header += "\n" + line
+        }
+      } else if(state == "block") {
+        block(line)
+      } else if(state == "comment") {
+        if(line.indexOf("-->") != -1)
+          err("comment-timestamp")
+        comment.text += "\n" + line
+      } else if(state == "style") {
+        if(line.indexOf("-->") != -1) {
+          err("style-timestamp")
+          invalid = true
+        }
+        style.push(line)
+      } else if(state == "region") {
+        if(line.indexOf("-->") != -1) {
+          err("region-timestamp")
+          invalid = true
+        } else {
+          new WebVTTRegionSettingsParser(line, err).parse(region)
+        }
+      } else if(state == "id") {
+        if(line.indexOf("-->") == -1) {
+          err("cue-identifier-timings-missing")
+          block(line)
+        } else {
+          timings(line)
+        }
+      } else if(state == "bad cue") {
+        /* BAD CUE LOOP */
+        if(line.indexOf("-->") != -1) {
+          block(line)
+        }
+      } else if(state == "cue text") {
+        /* CUE TEXT LOOP */
+        if(line.indexOf("-->") != -1) {
+          err("cue-blank-line-missing")
+          endCue()
+          block(line)
+          return
+        }
+        if(cue.text != "")
+          cue.text += "\n"
+        cue.text += line
+      }
+    }
+
+    /* Takes text, or bytes as a Uint8Array, Buffer or ArrayBuffer; a parser should be fed only
+       one or the other. */
+    this.feed = function(chunk) {
+      if(typeof chunk != "string")
+        chunk = decoder.decode(chunk instanceof ArrayBuffer ? new Uint8Array(chunk) : chunk)
+      // global search and replace for \0
+      buffer += chunk.replace(/\0/g, '\uFFFD')
+      // A trailing CR might be the first half of a CRLF pair split across chunks
+      var end = buffer[buffer.length-1] == "\r" ? buffer.length-1 : buffer.length,
+          lines = buffer.slice(0, end).split(NEWLINE)
+      buffer = lines.pop() + buffer.slice(end)
+      for(var i = 0; i < lines.length; i++, linePos++) {
+        processLine(lines[i])
+      }
+      return this
+    }
+
+    this.flush = function() {
+      // An incomplete sequence at the end of byte input
+      buffer += decoder.decode([], true).replace(/\0/g, '\uFFFD')
+      var lines = buffer.split(NEWLINE)
+      buffer = ""
+      for(var i = 0; i < lines.length; i++, linePos++) {
+        processLine(lines[i])
+      }
+      currentLine = ""
+      if(state == "header") {
+        endHeader()
+      } else {
+        endBlock()
+      }
+      if(mode != "metadata")
+        checkStyleUsage()
+      return this
+    }
+  }
+
+  /* Node.js stream.Transform around WebVTTStreamParser, taking text or Buffer chunks and
+     producing {type, value} objects where type is "header", "cue", "style", "region",
+     "comment" or "error". */
+  function createWebVTTNodeTransform(entities, mode, options) {
+    var Transform = require("stream").Transform,
+        parser = new WebVTTStreamParser(entities, mode, options),
+        transform = new Transform({
+          readableObjectMode: true,
+          transform: function(chunk, encoding, callback) {
+            parser.feed(chunk)
+            callback()
+          },
+          flush: function(callback) {
+            parser.flush()
+            callback()
+          }
+        })
+    forwardEvents(parser, function(value) { transform.push(value) })
+    return transform
+  }
+
+  /* WHATWG TransformStream around WebVTTStreamParser, with the same output as
+     createWebVTTNodeTransform(). */
+  function createWebVTTTransformStream(entities, mode, options) {
+    var parser = new WebVTTStreamParser(entities, mode, options),
+        controller
+    forwardEvents(parser, function(value) { controller.enqueue(value) })
+    return new TransformStream({
+      start: function(c) {
+        controller = c
+      },
+      transform: function(chunk) {
+        parser.feed(chunk)
+      },
+      flush: function() {
+        parser.flush()
+      }
+    })
+  }
+
+  function forwardEvents(parser, push) {
+    ["header", "cue", "style", "region", "comment", "error"].forEach(function(type) {
+      parser["on" + type] = function(value) {
+        push({type:type, value:value})
+      }
+    })
+  }
+
+  /* http://dev.w3.org/html5/webvtt/#webvtt-region-settings-parsing */
+  var WebVTTRegionSettingsParser = function(line, errorHandler) {
+    var SPACE = /[\u0020\t\f]/,
+        line = line,
+        pos = 0,
+        end = 0,
+        err = function(code) {
+          errorHandler(code, pos+1, end+1)
+        }
+    function percentage(value) {
+      if(!/^\d+(\.\d+)?%$/.test(value))
+        return
+      var number = parseFloat(value)
+      if(number > 100)
+        return
+      return number
+    }
+    function anchor(value) {
+      var index = value.indexOf(","),
+          x = percentage(value.slice(0, index)),
+          y = percentage(value.slice(index + 1))
+      if(index == -1 || x == undefined || y == undefined)
+        return
+      return [x, y]
+    }
+
+    this.parse = function(region) {
+      var settings = line.split(SPACE)
+      for(var i=0; i < settings.length; pos += settings[i].length + 1, i++) {
+        if(settings[i] == "")
+          continue
+
+        var index = settings[i].indexOf(':'),
+            setting = settings[i].slice(0, index),
+            value = settings[i].slice(index + 1)
+        end = pos + settings[i].length
+
+        if(index < 1 || index == settings[i].length - 1) {
+          err("region-setting-invalid")
+          continue
+        }
+
+        if(setting == "id") {
+          if(value.indexOf("-->") != -1) {
+            err("region-id-arrow")
+            continue
+          }
+          region.id = value
+        } else if(setting == "width") {
+          var width = percentage(value)
+          if(width == undefined) {
+            err("region-width-invalid")
+            continue
+          }
+          region.width = width
+        } else if(setting == "lines") {
+          // Not digits, or too many of them for a number
+          if(!/^\d+$/.test(value) || !isFinite(parseInt(value, 10))) {
+            err("region-lines-invalid")
+            continue
+          }
+          region.lines = parseInt(value, 10)
+        } else if(setting == "regionanchor") {
+          var regionAnchor = anchor(value)
+          if(!regionAnchor) {
+            err("region-anchor-invalid")
+            continue
+          }
+          region.regionAnchorX = regionAnchor[0]
+          region.regionAnchorY = regionAnchor[1]
+        } else if(setting == "viewportanchor") {
+          var viewportAnchor = anchor(value)
+          if(!viewportAnchor) {
+            err("region-viewport-anchor-invalid")
+            continue
+          }
+          region.viewportAnchorX = viewportAnchor[0]
+          region.viewportAnchorY = viewportAnchor[1]
+        } else if(setting == "scroll") {
+          if(value != "up") {
+            err("region-scroll-invalid")
+            continue
+          }
+          region.scroll = value
+        } else {
+          err("region-setting-invalid")
+        }
+      }
+    }
+  }
+
+  var WebVTTCueTimingsAndSettingsParser = function(line, errorHandler, regions) {
+    var SPACE = /[\u0020\t\f]/,
+        NOSPACE = /[^\u0020\t\f]/,
+        line = line,
+        pos = 0,
+        // From start (or the current position) up to the current position
+        err = function(code, start) {
+          if(start == undefined)
+            start = pos
+          errorHandler(code, start+1, Math.max(pos, start+1)+1)
+        },
+        spaceBeforeSetting = true,
+        timestampStart = 0
+    function skip(pattern) {
+      while(
+        line[pos] != undefined &&
+        pattern.test(line[pos])
+      ) {
+        pos++
+      }
+    }
+    function collect(pattern) {
+      var str = ""
+      while(
+        line[pos] != undefined &&
+        pattern.test(line[pos])
+      ) {
+        str += line[pos]
+        pos++
+      }
+      return str
+    }
+    /* http://dev.w3.org/html5/webvtt/#collect-a-webvtt-timestamp */
+    function timestamp() {
+      var start = timestampStart = pos,
+          units = "minutes",
+          val1,
+          val2,
+          val3,
+          val4
+      // 3
+      if(line[pos] == undefined) {
+        err("timestamp-missing")
+        return
+      }
+      // 4
+      if(!/\d/.test(line[pos])) {
+        err("timestamp-start-not-digit")
+        return
+      }
+      // 5-7
+      val1 = collect(/\d/)
+      if(val1.length > 2 || parseInt(val1, 10) > 59) {
+        units = "hours"
+      }
+      // 8
+      if(line[pos] != ":") {
+        err("timestamp-unit-separator-missing", start)
+        return
+      }
+      pos++
+      // 9-11
+      val2 = collect(/\d/)
+      if(val2.length != 2) {
+        err("timestamp-two-digits", start)
+        return
+      }
+      // 12
+      if(units == "hours" || line[pos] == ":") {
+        if(line[pos] != ":") {
+          err("timestamp-seconds-missing", start)
+          return
+        }
+        pos++
+        val3 = collect(/\d/)
+        if(val3.length != 2) {
+          err("timestamp-two-digits", start)
+          return
+        }
+      } else {
+        if (val1.length != 2) {
+          err("timestamp-two-digits", start)
+          return
+        }
+        val3 = val2
+        val2 = val1
+        val1 = "0"
+      }
+      // 13
+      if(line[pos] != ".") {
+        err("timestamp-decimal-separator-missing", start)
+        return
+      }
+      pos++
+      // 14-16
+      val4 = collect(/\d/)
+      if(val4.length != 3) {
+        err("timestamp-milliseconds-digits", start)
+        return
+      }
+      // 17
+      if(parseInt(val2, 10) > 59) {
+        err("timestamp-minutes-overflow", start)
+        return
+      }
+      if(parseInt(val3, 10) > 59) {
+        err("timestamp-seconds-overflow", start)
+        return
+      }
+      return parseInt(val1, 10) * 60 * 60 + parseInt(val2, 10) * 60 + parseInt(val3, 10) + parseInt(val4, 10) / 1000
+    }
+
+    /* http://dev.w3.org/html5/webvtt/#parse-the-webvtt-settings */
+    function parseSettings(input, cue) {
+      var settings = input.split(SPACE),
+          seen = [],
+          settingStart = pos,
+          // Errors cover the whole setting
+          err = function(code) {
+            errorHandler(code, settingStart+1, settingStart+settings[i].length+1)
+          }
+      for(var i=0; i < settings.length; settingStart += settings[i].length + 1, i++) {
+        if(settings[i] == "")
+          continue
+
+        var index = settings[i].indexOf(':'),
+            setting = settings[i].slice(0, index),
+            value = settings[i].slice(index + 1)
+
+        if(seen.indexOf(setting) != -1) {
+          err("setting-duplicate")
+        }
+        seen.push(setting)
 
         if(value == "") {
-          err("No value for setting defined.")
+          err("setting-value-missing")
           return
         }
 
         if(setting == "vertical") { // writing direction
           if(value != "rl" && value != "lr") {
-            err("Writing direction can only be set to 'rl' or 'rl'.")
+            err("setting-vertical-invalid")
             continue
           }
           cue.direction = value
@@ -360,19 +1284,19 @@
             var lineAlign = comp[1]
           }
           if(!/^[-\d](\d*)(\.\d+)?%?$/.test(value)) {
-            err("Line position takes a number or percentage.")
+            err("setting-line-invalid")
             continue
           }
           if(value.indexOf("-", 1) != -1) {
-            err("Line position can only have '-' at the start.")
+            err("setting-line-minus")
             continue
           }
           if(value.indexOf("%") != -1 && value.indexOf("%") != value.length-1) {
-            err("Line position can only have '%' at the end.")
+            err("setting-line-percent")
             continue
           }
           if(value[0] == "-" && value[value.length-1] == "%") {
-            err("Line position cannot be a negative percentage.")
+            err("setting-line-negative-percentage")
             continue
           }
           var numVal = value;
@@ -381,26 +1305,23 @@
             isPercent = true;
             numVal = value.slice(0, value.length-1)
             if(parseInt(value, 10) > 100) {
-              err("Line position cannot be >100%.")
+              err("setting-line-percentage-overflow")
               continue
             }
           }
           if (numVal === '' || isNaN(numVal) || !isFinite(numVal)) {
-            err("Line position needs to be a number")
+            err("setting-line-not-number")
             continue
           }
           if (lineAlign !== undefined) {
             if (!["start", "center", "end"].includes(lineAlign)) {
-              err("Line alignment needs to be one of start, center or end")
+              err("setting-line-align-invalid")
               continue
             }
             cue.lineAlign = lineAlign
           }
           cue.snapToLines = !isPercent;
           cue.linePosition = parseFloat(numVal)
-          if (parseFloat(numVal).toString() !== numVal) {
-            cue.nonSerializable = true;
-          }
         } else if(setting == "position") { // text position and optional positionAlign
           if (/,/.test(value)) {
             var comp = value.split(',')
@@ -408,21 +1329,21 @@
             var positionAlign = comp[1]
           }
           if(value[value.length-1] != "%") {
-            err("Text position must be a percentage.")
+            err("setting-position-not-percentage")
             continue
           }
           if(parseInt(value, 10) > 100 || parseInt(value, 10) < 0) {
-            err("Text position needs to be between 0 and 100%.")
+            err("setting-position-range")
             continue
           }
           numVal = value.slice(0, value.length-1)
           if (numVal === '' || isNaN(numVal) || !isFinite(numVal)) {
-            err("Line position needs to be a number")
+            err("setting-position-not-number")
             continue
           }
           if (positionAlign !== undefined) {
             if (!["line-left", "center", "line-right"].includes(positionAlign)) {
-              err("Position alignment needs to be one of line-left, center or line-right")
+              err("setting-position-align-invalid")
               continue
             }
             cue.positionAlign = positionAlign
@@ -430,22 +1351,22 @@
           cue.textPosition = parseFloat(numVal)
         } else if(setting == "size") { // size
           if(value[value.length-1] != "%") {
-            err("Size must be a percentage.")
+            err("setting-size-not-percentage")
             continue
           }
           if(parseInt(value, 10) > 100) {
-            err("Size cannot be >100%.")
+            err("setting-size-overflow")
             continue
           }
           var size = value.slice(0, value.length -1)
           if (size === undefined || size === "" || isNaN(size)) {
-            err("Size needs to be a number")
+            err("setting-size-not-number")
             size = 100
             continue
           } else {
             size = parseFloat(size)
             if (size < 0 || size > 100) {
-              err("Size needs to be between 0 and 100%.")
+              err("setting-size-range")
               continue;
             }
           }
@@ -453,12 +1374,23 @@
         } else if(setting == "align") { // alignment
           var alignValues = ["start", "center", "end", "left", "right"]
           if(alignValues.indexOf(value) == -1) {
-            err("Alignment can only be set to one of " + alignValues.join(", ") + ".")
+            err("setting-align-invalid")
             continue
           }
           cue.alignment = value
+        } else if(setting == "region" && regions) { // region
+          cue.region = null
+          for(var j = regions.length - 1; j >= 0; j--) {
+            if(regions[j].id == value) {
+              cue.region = regions[j]
+              break
+            }
+          }
+          if(!cue.region) {
+            err("setting-region-not-found")
+          }
         } else {
-          err("Invalid setting.")
+          err("setting-invalid")
         }
       }
     }
@@ -470,30 +1402,30 @@
         return
       }
       if(cue.startTime < previousCueStart) {
-        err("Start timestamp is not greater than or equal to start timestamp of previous cue.")
+        err("cue-start-order", timestampStart)
       }
       if(NOSPACE.test(line[pos])) {
-        err("Timestamp not separated from '-->' by whitespace.")
+        err("timestamp-arrow-whitespace-before")
       }
       skip(SPACE)
       // 6-8
       if(line[pos] != "-") {
-        err("No valid timestamp separator found.")
+        err("timestamp-arrow-missing")
         return
       }
       pos++
       if(line[pos] != "-") {
-        err("No valid timestamp separator found.")
+        err("timestamp-arrow-missing")
         return
       }
       pos++
       if(line[pos] != ">") {
-        err("No valid timestamp separator found.")
+        err("timestamp-arrow-missing")
         return
       }
       pos++
       if(NOSPACE.test(line[pos])) {
-        err("'-->' not separated from timestamp by whitespace.")
+        err("timestamp-arrow-whitespace-after")
       }
       skip(SPACE)
       cue.endTime = timestamp()
@@ -501,7 +1433,7 @@
         return
       }
       if(cue.endTime <= cue.startTime) {
-        err("End timestamp is not greater than start timestamp.")
+        err("cue-end-before-start", timestampStart)
       }
 
       if(NOSPACE.test(line[pos])) {
@@ -514,22 +1446,53 @@
     this.parseTimestamp = function() {
       var ts = timestamp()
       if(line[pos] != undefined) {
-        err("Timestamp must not have trailing characters.")
+        err("timestamp-trailing-characters", timestampStart)
         return
       }
       return ts
     }
   }
 
+  // Whether a node in ruby counts as base or ruby text, which whitespace and timestamps do not
+  function rubyContent(node) {
+    return node.type == "object" || node.type == "text" && /[^\u0020\t\f\r\n]/.test(node.value)
+  }
+
+  /* A ruby node's children as base/annotation pairs {base, text}: text is an rt node and base the
+     nodes before it. Nodes after the last rt make a pair whose text is null. Trees from the parser
+     have these as ruby.pairs, computed on each read so they follow edits to children. */
+  function rubyPairs(node) {
+    var pairs = [],
+        base = []
+    for(var i = 0; i < node.children.length; i++) {
+      var child = node.children[i]
+      if(child.type == "object" && child.name == "rt") {
+        pairs.push({base:base, text:child})
+        base = []
+      } else {
+        base.push(child)
+      }
+    }
+    if(base.length)
+      pairs.push({base:base, text:null})
+    return pairs
+  }
+
   var WebVTTCueTextParser = function(line, errorHandler, mode, entities) {
     this.entities = entities
     var self = this
     var line = line,
         pos = 0,
-        err = function(message) {
+        tokenStart = 0,
+        // From start (or the start of the current token) up to end (or the current position)
+        err = function(code, start, end) {
           if(mode == "metadata")
             return
-          errorHandler(message, pos+1)
+          if(start == undefined)
+            start = tokenStart
+          if(end == undefined)
+            end = Math.max(pos, start+1)
+          errorHandler(code, start+1, end+1)
         }
 
     this.parse = function(cueStart, cueEnd) {
@@ -541,17 +1504,46 @@
         if (cyclelessTree.parent) {
           delete cyclelessTree.parent;
         }
+        // Not enumerable, so trees compare and serialize as before
+        if (cyclelessTree.name == "ruby") {
+          Object.defineProperty(cyclelessTree, "pairs", {get:function() { return rubyPairs(this) }, configurable:true});
+        }
         return cyclelessTree;
       }
 
       var result = {children:[]},
           current = result,
-          timestamps = []
+          timestamps = [],
+          // Where each node is in the line, for problems with ruby found later
+          ranges = new Map()
 
+      function add(node) {
+        current.children.push(node)
+        ranges.set(node, [tokenStart, pos])
+      }
       function attach(token) {
-        current.children.push({type:"object", name:token[1], classes:token[2], children:[], parent:current})
+        add({type:"object", name:token[1], classes:token[2], children:[], parent:current})
         current = current.children[current.children.length-1]
       }
+      // Leaves the current element, checking the content of ruby and rt
+      function close() {
+        var range = ranges.get(current)
+        // The element now ends with its end tag
+        range[1] = pos
+        if(current.name == "rt" && !current.children.some(rubyContent)) {
+          err("cue-text-ruby-text-empty", range[0], range[1])
+        } else if(current.name == "ruby") {
+          var pairs = rubyPairs(current),
+              last = pairs[pairs.length-1],
+              content = last && !last.text ? last.base.filter(rubyContent) : []
+          if(!pairs.some(function(pair) { return pair.text })) {
+            err("cue-text-ruby-text-missing", range[0], range[1])
+          } else if(content.length) {
+            err("cue-text-ruby-base-unannotated", ranges.get(content[0])[0], ranges.get(content[content.length-1])[1])
+          }
+        }
+        current = current.parent
+      }
       function inScope(name) {
         var node = current
         while(node) {
@@ -565,77 +1557,164 @@
       while(line[pos] != undefined) {
         var token = nextToken()
         if(token[0] == "text") {
-          current.children.push({type:"text", value:token[1], parent:current})
+          add({type:"text", value:token[1], parent:current})
         } else if(token[0] == "start tag") {
           if(mode == "chapters")
-            err("Start tags not allowed in chapter title text.")
+            err("cue-text-chapters-start-tag")
           var name = token[1]
           if(name != "v" && name != "lang" && token[3] != "") {
-            err("Only <v> and <lang> can have an annotation.")
+            err("cue-text-annotation-not-allowed")
           }
           if(
             name == "c" ||
             name == "i" ||
             name == "b" ||
-            name == "u" ||
-            name == "ruby"
+            name == "u"
           ) {
             attach(token)
+          } else if(name == "ruby") {
+            if(inScope("ruby"))
+              err("cue-text-ruby-nested")
+            attach(token)
           } else if(name == "rt" && current.name == "ruby") {
+            var base = rubyPairs(current).pop()
+            if(!base || base.text || !base.base.some(rubyContent))
+              err("cue-text-ruby-base-missing")
             attach(token)
+          } else if(name == "rt") {
+            err("cue-text-ruby-text-outside")
           } else if(name == "v") {
             if(inScope("v")) {
-              err("<v> cannot be nested inside itself.")
+              err("cue-text-voice-nested")
             }
             attach(token)
             current.value = token[3] // annotation
             if(!token[3]) {
-              err("<v> requires an annotation.")
+              err("cue-text-voice-annotation-missing")
             }
           } else if(name == "lang") {
             attach(token)
             current.value = token[3] // language
           } else {
-            err("Incorrect start tag.")
+            err("cue-text-start-tag-invalid")
           }
         } else if(token[0] == "end tag") {
           if(mode == "chapters")
-            err("End tags not allowed in chapter title text.")
-          // XXX check <ruby> content
+            err("cue-text-chapters-end-tag")
           if(token[1] == current.name) {
-            current = current.parent
+            close()
           } else if(token[1] == "ruby" && current.name == "rt") {
-            current = current.parent.parent
+            close()
+            close()
           } else {
-            err("Incorrect end tag.")
+            err("cue-text-end-tag-invalid")
           }
         } else if(token[0] == "timestamp") {
           if(mode == "chapters")
-            err("Timestamp not allowed in chapter title text.")
-          var timings = new WebVTTCueTimingsAndSettingsParser(token[1], err),
+            err("cue-text-chapters-timestamp")
+          var timings = new WebVTTCueTimingsAndSettingsParser(token[1], function(code, col, endCol) {
+                // Columns within the tag, which starts with "<"
+                err(code, tokenStart + col, tokenStart + endCol)
+              }),
               timestamp = timings.parseTimestamp()
           if(timestamp != undefined) {
             if(timestamp <= cueStart || timestamp >= cueEnd) {
-              err("Timestamp must be between start timestamp and end timestamp.")
+              err("cue-text-timestamp-range")
             }
             if(timestamps.length > 0 && timestamps[timestamps.length-1] >= timestamp) {
-              err("Timestamp must be greater than any previous timestamp.")
+              err("cue-text-timestamp-order")
             }
-            current.children.push({type:"timestamp", value:timestamp, parent:current})
+            add({type:"timestamp", value:timestamp, parent:current})
             timestamps.push(timestamp)
           }
         }
       }
       while(current.parent) {
         if(current.name != "v") {
-          err("Required end tag missing.")
+          err("cue-text-end-tag-missing", pos)
         }
-        current = current.parent
+        close()
       }
       return removeCycles(result)
     }
 
+    /* HTML character references, https://html.spec.whatwg.org/#character-reference-state
+       Returns the text of the reference starting with the "&" at pos and moves past it. */
+    function characterReference() {
+      var start = pos++
+      if(line[pos] == "#")
+        return numericReference(start)
+      if(!/[a-z0-9]/i.test(line[pos] || "")) {
+        err("cue-text-escape-invalid", start, pos)
+        return "&"
+      }
+      var node = entityTrie(self.entities || defaultEntities),
+          value,
+          end
+      for(var i = pos; node && line[i] != undefined; i++) {
+        node = node.next[line[i]]
+        if(node && node.value != undefined) {
+          value = node.value
+          end = i + 1
+        }
+      }
+      if(value != undefined) {
+        if(line[end-1] != ";")
+          err("cue-text-reference-semicolon-missing", start, end)
+        pos = end
+        return value
+      }
+      // Not a reference, so the letters and digits are text
+      while(/[a-z0-9]/i.test(line[pos] || ""))
+        pos++
+      if(line[pos] == ";")
+        err("cue-text-reference-unknown", start, pos + 1)
+      else
+        err("cue-text-escape-invalid", start, pos)
+      return line.slice(start, pos)
+    }
+    function numericReference(start) {
+      pos++
+      var hex = line[pos] == "x" || line[pos] == "X",
+          digit = hex ? /[0-9a-f]/i : /[0-9]/,
+          code = 0
+      if(hex)
+        pos++
+      if(!digit.test(line[pos] || "")) {
+        err("cue-text-reference-digits-missing", start, pos)
+        return line.slice(start, pos)
+      }
+      while(digit.test(line[pos] || "")) {
+        // Anything past 0x10FFFF is as wrong as 0x110000
+        code = Math.min(code * (hex ? 16 : 10) + parseInt(line[pos], 16), 0x110000)
+        pos++
+      }
+      if(line[pos] == ";")
+        pos++
+      else
+        err("cue-text-reference-semicolon-missing", start, pos)
+      if(code == 0) {
+        err("cue-text-reference-null", start, pos)
+        code = 0xFFFD
+      } else if(code > 0x10FFFF) {
+        err("cue-text-reference-out-of-range", start, pos)
+        code = 0xFFFD
+      } else if(code >= 0xD800 && code <= 0xDFFF) {
+        err("cue-text-reference-surrogate", start, pos)
+        code = 0xFFFD
+      } else if((code >= 0xFDD0 && code <= 0xFDEF) || (code & 0xFFFE) == 0xFFFE) {
+        err("cue-text-reference-noncharacter", start, pos)
+      } else if(code == 0x0D || ((code < 0x20 || (code >= 0x7F && code <= 0x9F)) && [0x09, 0x0A, 0x0C].indexOf(code) == -1)) {
+        err("cue-text-reference-control", start, pos)
+        // What Windows-1252 has there
+        if(code >= 0x80)
+          return windows1252[code - 0x80]
+      }
+      return String.fromCodePoint(code)
+    }
+
     function nextToken() {
+      tokenStart = pos
       var state = "data",
           result = "",
           buffer = "",
@@ -644,8 +1723,8 @@
         var c = line[pos]
         if(state == "data") {
           if(c == "&") {
-            buffer = c
-            state = "escape"
+            result += characterReference()
+            continue
           } else if(c == "<" && result == "") {
             state = "tag"
           } else if(c == "<" || c == undefined) {
@@ -653,45 +1732,6 @@
           } else {
             result += c
           }
-        } else if(state == "escape") {
-          if(c == "<" || c == undefined) {
-            err("Incorrect escape.")
-            let m;
-            if (m = buffer.match(/^&#([0-9]+)$/)) {
-              result += String.fromCharCode(m[1])
-            } else {
-              if(self.entities[buffer]) {
-                result += self.entities[buffer]
-              } else {
-                result += buffer
-              }
-            }
-            return ["text", result]
-          } else if(c == "&") {
-            err("Incorrect escape.")
-            result += buffer
-            buffer = c
-          } else if(/[a-z#0-9]/i.test(c)) {
-            buffer += c
-          } else if(c == ";") {
-            let m;
-            if (m = buffer.match(/^&#(x?[0-9]+)$/)) {
-              // we prepend "0" so that x20 be interpreted as hexadecim (0x20)
-              result += String.fromCharCode("0" + m[1])
-            } else if(self.entities[buffer + c]) {
-              result += self.entities[buffer + c]
-            } else if (m = Object.keys(entities).find(n => buffer.startsWith(n))) { // partial match
-              result += self.entities[m] + buffer.slice(m.length) + c
-            } else {
-              err("Incorrect escape.")
-              result += buffer + ";"
-            }
-            state = "data"
-          } else {
-            err("Incorrect escape.")
-            result += buffer + c
-            state = "data"
-          }
         } else if(state == "tag") {
           if(c == "\t" || c == "\n" || c == "\f" || c == " ") {
             state = "start tag annotation"
@@ -785,7 +1825,7 @@
             result += c
           }
         } else {
-          err("Never happens.") // The joke is it might.
+          err("internal-error") // The joke is it might.
         }
         // 8
         pos++
@@ -793,37 +1833,523 @@
     }
   }
 
-  var WebVTTSerializer = function() {
-    function serializeTimestamp(seconds) {
-      const ms = ("00" + (seconds - Math.floor(seconds)).toFixed(3)*1000).slice(-3);
-      let h = 0, m = 0, s = 0;
-      if (seconds >= 3600) {
-        h = Math.floor(seconds/3600);
+  /* CSS of STYLE blocks. Returns the rules for ::cue and ::cue-region, each with the selectors,
+     their pseudo-element and argument, and the declarations. Selectors also list the classes,
+     voices, identifiers and elements they refer to, in references. */
+  var WebVTTStyleParser = function(text, errorHandler) {
+    var ELEMENTS = ["c", "i", "b", "u", "ruby", "rt", "v", "lang"],
+        // Properties that apply to ::cue, by their name or the shorthand they belong to
+        CUE_PROPERTIES = /^(color|opacity|visibility|text-decoration(-line|-color|-style|-thickness)?|text-shadow|background(-color|-image|-repeat|-attachment|-position(-x|-y)?|-size|-origin|-clip)?|outline(-color|-style|-width)?|font(-family|-size|-style|-weight|-stretch|-variant(-\w+)*)?|line-height|white-space|text-combine-upright|ruby-position|text-emphasis(-style|-color|-position)?|--.*)$/,
+        // ::cue(:past) and ::cue(:future) cannot change the layout
+        PAST_FUTURE_EXCLUDED = /^(font.*|line-height|text-combine-upright|ruby-position|text-emphasis.*)$/,
+        REGION_EXCLUDED = /^(text-combine-upright|ruby-position|text-emphasis.*)$/,
+        IDENT = /^-?([_a-zA-Z\u00A0-\uFFFF]|\\.)([-\w\u00A0-\uFFFF]|\\.)*/,
+        rules = []
+    // From start to end, offsets into text
+    function err(code, start, end) {
+      errorHandler(code, start+1, Math.max(end, start+1)+1)
+    }
+
+    // Comments become spaces, keeping the offsets of everything else
+    function stripComments() {
+      var result = "", quote = null
+      for(var i = 0; i < text.length; i++) {
+        var c = text[i]
+        if(quote) {
+          if(c == "\\")
+            result += c + (text[++i] || "")
+          else
+            result += c
+          if(c == quote || c == "\n")
+            quote = null
+          continue
+        } else if(c == "\"" || c == "'") {
+          quote = c
+        } else if(c == "/" && text[i+1] == "*") {
+          var end = text.indexOf("*/", i + 2)
+          if(end == -1) {
+            err("style-comment-unclosed", i, i + 2)
+            end = text.length
+          } else {
+            end += 2
+          }
+          result += text.slice(i, end).replace(/[^\n]/g, " ")
+          i = end - 1
+          continue
+        }
+        result += c
       }
-      m = Math.floor((seconds - 3600*h) / 60);
-      s = Math.floor(seconds - 3600*h - 60*m);
-      return (h ? h + ":" : "") + ("" + m).padStart(2, "0") + ":" + ("" + s).padStart(2, "0") + "." + ms;
+      return result
     }
-    function serializeCueSettings(cue) {
-      var result = ""
-      const nonDefaultSettings = Object.keys(defaultCueSettings).filter(s => cue[s] !== defaultCueSettings[s]);
-      if (nonDefaultSettings.includes("direction")) {
-        result+= " vertical:" + cue.direction
+    var css = stripComments()
+
+    // The offset of the first of chars outside strings, brackets and parentheses, or the end
+    function scan(from, to, chars) {
+      var depth = 0
+      for(var i = from; i < to; i++) {
+        var c = css[i]
+        if(depth <= 0 && chars.indexOf(c) != -1) {
+          return i
+        } else if(c == "\"" || c == "'") {
+          for(i++; i < to && css[i] != c && css[i] != "\n"; i++) {
+            if(css[i] == "\\")
+              i++
+          }
+        } else if(c == "(" || c == "[") {
+          depth++
+        } else if(c == ")" || c == "]") {
+          depth--
+        }
       }
-      if (nonDefaultSettings.includes("alignment")) {
-        result+= " align:" + cue.alignment
+      return to
+    }
+    // The offset of the "}" that ends the block starting at from, or -1
+    function blockEnd(from, to) {
+      var depth = 1
+      for(var i = scan(from, to, "{}"); i < to; i = scan(i + 1, to, "{}")) {
+        if(css[i] == "{")
+          depth++
+        else if(--depth == 0)
+          return i
+      }
+      return -1
+    }
+    function trimmed(from, to) {
+      while(from < to && /\s/.test(css[from]))
+        from++
+      while(to > from && /\s/.test(css[to-1]))
+        to--
+      return {start:from, end:to, text:css.slice(from, to)}
+    }
+    function unescape(ident) {
+      return ident.replace(/\\(.)/g, "$1")
+    }
+
+    /* SELECTORS */
+    function parseCompound(arg, offset, references) {
+      var i = 0,
+          start = true,
+          pastOrFuture = false
+      while(i < arg.length) {
+        var rest = arg.slice(i), m
+        if(/^\s/.test(rest) || /^[>+~]/.test(rest)) {
+          start = true
+          i++
+          continue
+        }
+        if(rest[0] == "*") {
+          i++
+        } else if(start && (m = rest.match(IDENT))) {
+          var name = unescape(m[0]).toLowerCase()
+          if(ELEMENTS.indexOf(name) == -1)
+            err("style-selector-tag-unknown", offset + i, offset + i + m[0].length)
+          references.push({type:"tag", name:name, start:offset + i, end:offset + i + m[0].length})
+          i += m[0].length
+        } else if((rest[0] == "." || rest[0] == "#") && (m = rest.slice(1).match(IDENT))) {
+          references.push({type:rest[0] == "." ? "class" : "id", name:unescape(m[0]), start:offset + i, end:offset + i + 1 + m[0].length})
+          i += 1 + m[0].length
+        } else if(m = rest.match(/^\[\s*([-\w]+)\s*(?:([~|^$*]?=)\s*("([^"]*)"|'([^']*)'|[^\]\s]+)\s*(?:[iIsS]\s*)?)?\]/)) {
+          if(m[1].toLowerCase() == "voice" && m[2] == "=")
+            references.push({type:"voice", name:m[4] != undefined ? m[4] : m[5] != undefined ? m[5] : m[3], start:offset + i, end:offset + i + m[0].length})
+          i += m[0].length
+        } else if(m = rest.match(/^::?([-\w]+)/)) {
+          if(/^(past|future)$/i.test(m[1]))
+            pastOrFuture = true
+          i += m[0].length
+          // Skip the arguments of functional pseudo-classes such as :not()
+          if(arg[i] == "(") {
+            var depth = 0
+            do {
+              if(arg[i] == "(")
+                depth++
+              else if(arg[i] == ")")
+                depth--
+              i++
+            } while(i < arg.length && depth > 0)
+          }
+        } else {
+          return
+        }
+        start = false
       }
-      if (nonDefaultSettings.includes("size")) {
-        result+= " size:" + cue.size + "%"
+      return {pastOrFuture:pastOrFuture}
+    }
+    function parseSelector(selector) {
+      var m = selector.text.match(/^::cue(-region)?(?:\(([^]*)\))?$/i),
+          result
+      if(!/^::cue/i.test(selector.text)) {
+        err("style-selector-not-cue", selector.start, selector.end)
+        return
       }
-      if (nonDefaultSettings.includes("lineAlign") || nonDefaultSettings.includes("linePosition")) {
-        result += " line:" + cue.linePosition +  (cue.snapToLines ? "" : "%") + (cue.lineAlign && cue.lineAlign != defaultCueSettings.lineAlign ? "," + cue.lineAlign : "")
+      if(!m || m[2] != undefined && scan(selector.start + selector.text.indexOf("(") + 1, selector.end, ")") != selector.end - 1) {
+        err("style-selector-invalid", selector.start, selector.end)
+        return
       }
-      if (nonDefaultSettings.includes("textPosition") || nonDefaultSettings.includes("positionAlign")) {
-        result += " position:" + cue.textPosition + "%" + (cue.positionAlign && cue.positionAlign !== defaultCueSettings.positionAlign ? "," + cue.positionAlign : "")
+      result = {text:selector.text, pseudoElement:m[1] ? "cue-region" : "cue", argument:m[2] != undefined ? m[2].trim() : null, references:[], pastOrFuture:false}
+      if(m[2] != undefined) {
+        var argStart = selector.start + selector.text.indexOf("(") + 1
+        // :past and :future are checked, the rest of the selector only for what it refers to
+        var parts = []
+        for(var i = argStart, end; i < selector.end - 1; i = end + 1) {
+          end = scan(i, selector.end - 1, ",")
+          parts.push([i, end])
+        }
+        for(var i = 0; i < parts.length; i++) {
+          var compound = parseCompound(css.slice(parts[i][0], parts[i][1]), parts[i][0], result.references)
+          if(!compound) {
+            err("style-selector-invalid", selector.start, selector.end)
+            return
+          }
+          result.pastOrFuture = result.pastOrFuture || compound.pastOrFuture
+        }
+        if(result.pseudoElement == "cue-region") {
+          // ::cue-region(#id) selects a region by its identifier
+          for(var i = 0; i < result.references.length; i++) {
+            if(result.references[i].type == "id")
+              result.references[i].type = "region"
+          }
+        }
       }
       return result
     }
+
+    /* DECLARATIONS */
+    function parseDeclarations(from, to, selectors) {
+      var declarations = []
+      for(var i = from, end; i < to; i = end + 1) {
+        end = scan(i, to, ";")
+        var declaration = trimmed(i, end)
+        if(declaration.text == "")
+          continue
+        var colon = declaration.text.indexOf(":"),
+            property = colon == -1 ? "" : declaration.text.slice(0, colon).trim().toLowerCase(),
+            value = colon == -1 ? "" : declaration.text.slice(colon + 1).trim(),
+            important = /!\s*important$/i.test(value)
+        if(important)
+          value = value.replace(/!\s*important$/i, "").trim()
+        if(!property || !value) {
+          err("style-declaration-invalid", declaration.start, declaration.end)
+          continue
+        }
+        for(var j = 0; j < selectors.length; j++) {
+          if(!CUE_PROPERTIES.test(property) ||
+             selectors[j].pastOrFuture && PAST_FUTURE_EXCLUDED.test(property) ||
+             selectors[j].pseudoElement == "cue-region" && REGION_EXCLUDED.test(property)) {
+            err("style-property-not-allowed", declaration.start, declaration.start + colon)
+            break
+          }
+        }
+        declarations.push({property:property, value:value, important:important})
+      }
+      return declarations
+    }
+
+    /* RULES */
+    function parseRules(from, to, media) {
+      var i = from
+      while(i < to) {
+        var start = trimmed(i, to).start
+        if(start == to)
+          break
+        var end = scan(start, to, css[start] == "@" ? "{;" : "{")
+        if(end == to) {
+          err("style-rule-block-missing", start, to)
+          break
+        }
+        var close = css[end] == "{" ? blockEnd(end + 1, to) : end
+        if(close == -1) {
+          err("style-block-unclosed", end, end + 1)
+          close = to
+        }
+        var prelude = trimmed(start, end)
+        if(css[start] == "@") {
+          // Rules in @media and @supports apply conditionally, other at-rules do nothing here
+          var name = prelude.text.match(/^@([-\w]*)/)[1].toLowerCase()
+          if(css[end] == "{" && (name == "media" || name == "supports"))
+            parseRules(end + 1, close, (media ? media + " and " : "") + prelude.text.replace(/^@[-\w]*\s*/, ""))
+        } else {
+          var selectors = []
+          for(var j = prelude.start, selectorEnd; j < prelude.end; j = selectorEnd + 1) {
+            selectorEnd = scan(j, prelude.end, ",")
+            var selector = parseSelector(trimmed(j, selectorEnd))
+            if(selector)
+              selectors.push(selector)
+          }
+          var declarations = parseDeclarations(end + 1, close, selectors)
+          if(selectors.length) {
+            var rule = {selector:prelude.text, selectors:selectors, declarations:declarations, start:prelude.start, end:prelude.end}
+            if(media)
+              rule.media = media
+            rules.push(rule)
+          }
+        }
+        i = close + 1
+      }
+    }
+
+    this.parse = function() {
+      parseRules(0, css.length, null)
+      return rules
+    }
+  }
+
+  /* SubRip (.srt) reader, producing cues like WebVTTParser. <i>, <b> and <u> are kept,
+     <font> becomes a <c> with classes for its attributes and other text is escaped. */
+  var SRTParser = function(options) {
+    // the escapes convertText() produces
+    var entities = {
+      "&amp;": "&",
+      "&lt;": "<",
+      "&gt;": ">"
+    }
+    this.parse = function(input, mode) {
+      var NEWLINE = /\r\n|\r|\n/,
+          startTime = Date.now(),
+          linePos = 0,
+          lines = input.replace(/^\ufeff/, "").replace(/\0/g, '\uFFFD').split(NEWLINE),
+          previousNumber = 0,
+          previousCueStart = 0,
+          cues = [],
+          errors = []
+      // Without a column, the whole line is reported
+      function err(code, col, endCol, line) {
+        if(line == undefined)
+          line = linePos
+        if(col == undefined) {
+          col = 1
+          endCol = (lines[line] || "").length + 1
+        }
+        var error = createDiagnostic(code, line+1, col, line+1, endCol, options)
+        if(error)
+          errors.push(error)
+      }
+      function blank(line) {
+        return line == undefined || /^[ \t\f]*$/.test(line)
+      }
+      function timestamp(value) {
+        var m = value.match(/^(\d+):(\d+):(\d+)([,.])(\d+)$/)
+        if(!m) {
+          err("srt-timestamp-invalid")
+          return
+        }
+        if(m[2].length != 2 || m[3].length != 2) {
+          err("timestamp-two-digits")
+        }
+        if(parseInt(m[2], 10) > 59) {
+          err("timestamp-minutes-overflow")
+          return
+        }
+        if(parseInt(m[3], 10) > 59) {
+          err("timestamp-seconds-overflow")
+          return
+        }
+        if(m[5].length != 3) {
+          err("timestamp-milliseconds-digits")
+        }
+        return parseInt(m[1], 10) * 60 * 60 + parseInt(m[2], 10) * 60 + parseInt(m[3], 10) + parseFloat("0." + m[5])
+      }
+      // Turns a line of SRT text into WebVTT cue text
+      function convertText(line) {
+        var TAG = /<\s*(\/?)\s*([a-z]+)([^>]*)>/gi,
+            result = "",
+            last = 0,
+            m
+        function escape(text) {
+          return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+        }
+        while((m = TAG.exec(line))) {
+          var name = m[2].toLowerCase()
+          result += escape(line.slice(last, m.index))
+          last = TAG.lastIndex
+          if(name == "i" || name == "b" || name == "u") {
+            result += "<" + m[1] + name + ">"
+          } else if(name == "font") {
+            result += m[1] ? "</c>" : "<c" + fontClasses(m[3], m.index, TAG.lastIndex) + ">"
+          } else {
+            err("srt-tag-unsupported", m.index+1, TAG.lastIndex+1)
+            result += escape(m[0])
+          }
+        }
+        return result + escape(line.slice(last))
+      }
+      function fontClasses(attributes, start, end) {
+        var ATTRIBUTE = /([a-z]+)\s*=\s*("[^"]*"|'[^']*'|[^\s"']+)/gi,
+            classes = "",
+            m
+        while((m = ATTRIBUTE.exec(attributes))) {
+          var name = m[1].toLowerCase(),
+              value = m[2].replace(/^["']|["']$/g, "").trim().toLowerCase()
+          if(name != "color" && name != "face" && name != "size") {
+            err("srt-font-attribute-unsupported", start+1, end+1)
+            continue
+          }
+          classes += "." + name + "-" + value.replace(/^#/, "").replace(/[\s.&<>]+/g, "-")
+        }
+        return classes
+      }
+
+      while(lines[linePos] != undefined) {
+        while(lines[linePos] != undefined && blank(lines[linePos])) {
+          linePos++
+        }
+        if(lines[linePos] == undefined)
+          break
+
+        /* NUMBER */
+        var cue = Object.assign({}, defaultCueSettings, {
+          id:"",
+          startTime:0,
+          endTime:0,
+          pauseOnExit:false,
+          region:null,
+          text:"",
+          tree:null
+        })
+        if(lines[linePos].indexOf("-->") == -1) {
+          var number = lines[linePos].trim()
+          if(!/^\d+$/.test(number)) {
+            err("srt-number-invalid")
+          } else if(parseInt(number, 10) != previousNumber + 1) {
+            err("srt-number-sequence")
+          }
+          previousNumber = parseInt(number, 10)
+          linePos++
+        } else {
+          err("srt-number-missing")
+          previousNumber++
+        }
+
+        /* TIMINGS */
+        var m = blank(lines[linePos]) ? null : lines[linePos].match(/^\s*(\S+)\s*-->\s*(\S+)\s*(.*)$/)
+        if(!m) {
+          err("srt-timings-missing")
+          while(!blank(lines[linePos])) {
+            linePos++
+          }
+          continue
+        }
+        cue.startTime = timestamp(m[1])
+        cue.endTime = timestamp(m[2])
+        if(cue.startTime == undefined || cue.endTime == undefined) {
+          while(!blank(lines[linePos])) {
+            linePos++
+          }
+          continue
+        }
+        if(cue.startTime < previousCueStart) {
+          err("cue-start-order")
+        }
+        if(cue.endTime <= cue.startTime) {
+          err("cue-end-before-start")
+        }
+        if(m[3] != "") {
+          err("srt-coordinates-unsupported")
+        }
+        previousCueStart = cue.startTime
+        linePos++
+
+        /* CUE TEXT */
+        var textLine = linePos
+        while(!blank(lines[linePos])) {
+          if(cue.text != "")
+            cue.text += "\n"
+          cue.text += convertText(lines[linePos])
+          linePos++
+        }
+        var cuetextparser = new WebVTTCueTextParser(cue.text, function(code) {
+          err(code, undefined, undefined, textLine)
+        }, mode, entities)
+        cue.tree = cuetextparser.parse(cue.startTime, cue.endTime)
+        cues.push(cue)
+      }
+      return {cues:cues, errors:errors, time:Date.now()-startTime}
+    }
+  }
+
+  // Rounded to the millisecond as a whole, so that 59.9996 gives 01:00.000 and not 00:59.1000
+  function serializeTimestamp(seconds, alwaysHours) {
+    var ms = Math.round(seconds * 1000),
+        h = Math.floor(ms / 3600000),
+        m = Math.floor(ms / 60000) % 60,
+        s = Math.floor(ms / 1000) % 60
+    return (alwaysHours ? ("" + h).padStart(2, "0") + ":" : h ? h + ":" : "")
+      + ("" + m).padStart(2, "0") + ":" + ("" + s).padStart(2, "0") + "." + ("" + ms % 1000).padStart(3, "0")
+  }
+
+  // The parser only reads plain decimals, so 1e+34 is written out digit by digit; -0 stays -0
+  function serializeNumber(value) {
+    if (Object.is(value, -0)) {
+      return "-0"
+    }
+    var m = /^(-?)(\d)(?:\.(\d+))?e([+-]\d+)$/.exec("" + value)
+    if (!m) {
+      return "" + value
+    }
+    var digits = m[2] + (m[3] || ""),
+        exponent = +m[4]
+    if (exponent > 0) {
+      return m[1] + digits.padEnd(exponent + 1, "0")
+    }
+    return m[1] + "0." + "0".repeat(-exponent - 1) + digits
+  }
+
+  var cueSettingsOrder = ["region", "vertical", "align", "size", "line", "position"]
+
+  function serializeCueSettings(cue, order) {
+    const nonDefaultSettings = Object.keys(defaultCueSettings).filter(s => cue[s] !== defaultCueSettings[s]);
+    var settings = {}
+    if (cue.region) {
+      settings.region = cue.region.id
+    }
+    if (nonDefaultSettings.includes("direction")) {
+      settings.vertical = cue.direction
+    }
+    if (nonDefaultSettings.includes("alignment")) {
+      settings.align = cue.alignment
+    }
+    if (nonDefaultSettings.includes("size")) {
+      settings.size = serializeNumber(cue.size) + "%"
+    }
+    if (nonDefaultSettings.includes("lineAlign") || nonDefaultSettings.includes("linePosition")) {
+      settings.line = serializeNumber(cue.linePosition) + (cue.snapToLines ? "" : "%") + (cue.lineAlign && cue.lineAlign != defaultCueSettings.lineAlign ? "," + cue.lineAlign : "")
+    }
+    if (nonDefaultSettings.includes("textPosition") || nonDefaultSettings.includes("positionAlign")) {
+      settings.position = serializeNumber(cue.textPosition) + "%" + (cue.positionAlign && cue.positionAlign !== defaultCueSettings.positionAlign ? "," + cue.positionAlign : "")
+    }
+    var result = ""
+    order = order || cueSettingsOrder
+    for (var i = 0; i < order.length; i++) {
+      if (order[i] in settings) {
+        result += " " + order[i] + ":" + settings[order[i]]
+      }
+    }
+    return result
+  }
+
+  /* options.alwaysHours writes 00: hours in every timestamp, options.lineEnding is "\n" (the
+     default), "\r\n" or "\r", options.writeIds false leaves out cue identifiers and
+     options.settingsOrder lists the cue settings ("region", "vertical", "align", "size", "line"
+     and "position") in the order to write them, any left out following in that order.
+     With options.strict, serialize() throws rather than write a file that does not parse back to
+     the same cues, such as an identifier with "-->" or a line break, or cue text with a blank
+     line; times are compared to the millisecond they are written with. */
+  var WebVTTSerializer = function(options) {
+    options = options || {}
+    var alwaysHours = !!options.alwaysHours,
+        lineEnding = options.lineEnding || "\n",
+        writeIds = options.writeIds !== false,
+        strict = !!options.strict,
+        settingsOrder = options.settingsOrder || cueSettingsOrder
+    if (["\n", "\r\n", "\r"].indexOf(lineEnding) == -1) {
+      throw new RangeError("Line ending must be \"\\n\", \"\\r\\n\" or \"\\r\".")
+    }
+    for (var i = 0; i < settingsOrder.length; i++) {
+      if (cueSettingsOrder.indexOf(settingsOrder[i]) == -1) {
+        throw new RangeError("Unknown cue setting " + settingsOrder[i] + ".")
+      }
+    }
+    settingsOrder = settingsOrder.concat(cueSettingsOrder.filter(s => settingsOrder.indexOf(s) == -1))
+
     function serializeTree(tree) {
       var result = ""
       for (var i = 0; i < tree.length; i++) {
@@ -845,33 +2371,1272 @@
             result += serializeTree(node.children)
           result += "</" + node.name + ">"
         } else if(node.type == "timestamp") {
-          result += "<" + serializeTimestamp(node.value) + ">"
+          result += "<" + serializeTimestamp(node.value, alwaysHours) + ">"
         } else {
           result += "<" + node.value + ">"
         }
       }
       return result
     }
+    // Metadata cues have their payload as is
+    function serializeCueText(cue) {
+      return cue.tree ? serializeTree(cue.tree.children) : cue.text
+    }
     function serializeCue(cue) {
-      return (cue.id !== undefined ? cue.id + "\n" : "")
-        + serializeTimestamp(cue.startTime)
+      return (writeIds && cue.id ? cue.id + "\n" : "")
+        + serializeTimestamp(cue.startTime, alwaysHours)
         + " --> "
-        + serializeTimestamp(cue.endTime)
-        + serializeCueSettings(cue)
-        + "\n" + serializeTree(cue.tree.children) + "\n\n"
+        + serializeTimestamp(cue.endTime, alwaysHours)
+        + serializeCueSettings(cue, settingsOrder)
+        + "\n" + serializeCueText(cue) + "\n\n"
     }
     function serializeStyle(style) {
       return "STYLE\n" + style + "\n\n"
     }
+    function serializePercentage(value) {
+      return serializeNumber(value) + "%"
+    }
+    function serializeRegion(region) {
+      var result = "REGION\nid:" + region.id
+      if (region.width !== defaultRegionSettings.width) {
+        result += "\nwidth:" + serializePercentage(region.width)
+      }
+      if (region.lines !== defaultRegionSettings.lines) {
+        result += "\nlines:" + serializeNumber(region.lines)
+      }
+      if (region.regionAnchorX !== defaultRegionSettings.regionAnchorX || region.regionAnchorY !== defaultRegionSettings.regionAnchorY) {
+        result += "\nregionanchor:" + serializePercentage(region.regionAnchorX) + "," + serializePercentage(region.regionAnchorY)
+      }
+      if (region.viewportAnchorX !== defaultRegionSettings.viewportAnchorX || region.viewportAnchorY !== defaultRegionSettings.viewportAnchorY) {
+        result += "\nviewportanchor:" + serializePercentage(region.viewportAnchorX) + "," + serializePercentage(region.viewportAnchorY)
+      }
+      if (region.scroll) {
+        result += "\nscroll:" + region.scroll
+      }
+      return result + "\n\n"
+    }
+    // A text starting with a newline has nothing on the first line
+    function serializeKeyword(keyword, text) {
+      if (!text) {
+        return keyword
+      }
+      return keyword + (text[0] == "\n" ? "" : " ") + text
+    }
+    function serializeComment(comment) {
+      return serializeKeyword("NOTE", comment.text) + "\n\n"
+    }
+
+    /* STRICT MODE */
+    // The first line of headers and comments follows the keyword, so only later ones count
+    function checkBlock(name, text) {
+      if (text && (text.indexOf("-->") != -1 || /\n(\n|$)/.test(text))) {
+        throw new Error(name + " cannot contain \"-->\" or a blank line.")
+      }
+    }
+    function checkCue(cue, i) {
+      var name = "Cue " + (cue.id || i + 1),
+          text = serializeCueText(cue)
+      if (writeIds && /-->|[\r\n]/.test(cue.id)) {
+        throw new Error(name + " has \"-->\" or a line break in its identifier.")
+      }
+      if (!(cue.startTime >= 0 && cue.endTime >= 0) || cue.startTime == Infinity || cue.endTime == Infinity) {
+        throw new Error(name + " has a time that is not a finite number of seconds from zero.")
+      }
+      if (/^\n|\n(\n|$)/.test(text) || (!cue.tree && text.indexOf("-->") != -1)) {
+        throw new Error(name + " has a blank line or \"-->\" in its text.")
+      }
+    }
+    function sameTime(a, b) {
+      return Math.round(a * 1000) == Math.round(b * 1000)
+    }
+    function sameTree(a, b) {
+      if (a.length != b.length) {
+        return false
+      }
+      for (var i = 0; i < a.length; i++) {
+        if (a[i].type != b[i].type || a[i].name != b[i].name || (a[i].classes || []).join(".") != (b[i].classes || []).join(".")) {
+          return false
+        }
+        if (a[i].type == "timestamp" ? !sameTime(a[i].value, b[i].value) : (a[i].value || "") != (b[i].value || "")) {
+          return false
+        }
+        if (!sameTree(a[i].children || [], b[i].children || [])) {
+          return false
+        }
+      }
+      return true
+    }
+    // The first property of the cue that came back different, if any
+    function difference(cue, parsed) {
+      if (writeIds && cue.id != parsed.id) {
+        return "identifier"
+      }
+      if (!sameTime(cue.startTime, parsed.startTime) || !sameTime(cue.endTime, parsed.endTime)) {
+        return "times"
+      }
+      for (var setting in defaultCueSettings) {
+        if (setting != "id" && setting != "pauseOnExit" && !Object.is(cue[setting], parsed[setting])) {
+          return setting
+        }
+      }
+      if ((cue.region ? cue.region.id : null) !== (parsed.region ? parsed.region.id : null)) {
+        return "region"
+      }
+      if (cue.tree ? !sameTree(cue.tree.children, parsed.tree.children) : cue.text != parsed.text) {
+        return "text"
+      }
+    }
+    // Only the escapes serializeTree() writes, so the check does not depend on entity tables
+    var strictEntities = {"&amp;": "&", "&lt;": "<", "&gt;": ">"}
+    function checkRoundTrip(cues, result) {
+      var parsed = new WebVTTParser(strictEntities).parse(result).cues
+      for (var i = 0; i < cues.length; i++) {
+        var different = parsed[i] ? difference(cues[i], parsed[i]) : "cue"
+        if (different) {
+          throw new Error("Cue " + (cues[i].id || i + 1) + " would not parse back the same (" + different + ").")
+        }
+      }
+      if (parsed.length != cues.length) {
+        throw new Error("The file would parse back with " + parsed.length + " cues instead of " + cues.length + ".")
+      }
+    }
+
+    /* The parts of a cue on their own, for containers that keep them apart such as the boxes
+       of MP4 samples. Settings are written without the leading space. */
+    this.serializeTimestamp = function(seconds) {
+      return serializeTimestamp(seconds, alwaysHours)
+    }
+    this.serializeCueSettings = function(cue) {
+      return serializeCueSettings(cue, settingsOrder).slice(1)
+    }
+    this.serializeCueText = serializeCueText
+
+    /* Either serialize(cues, styles) or serialize(result) with the result of
+       WebVTTParser.parse(), which also writes the header text, the regions and the comments. */
     this.serialize = function(cues, styles) {
-      var result = "WEBVTT\n\n"
+      var regions = [],
+          comments = [],
+          header = ""
+      if (!Array.isArray(cues)) {
+        styles = cues.styles
+        regions = cues.regions || regions
+        comments = cues.comments || comments
+        header = cues.header || header
+        cues = cues.cues
+      }
+      if (strict) {
+        checkBlock("Header", header)
+        for(var i=0;i<comments.length;i++) {
+          checkBlock("Comment", comments[i].text)
+        }
+        for(var i=0;i<(styles || []).length;i++) {
+          checkBlock("Style block", styles[i])
+        }
+        for(var i=0;i<cues.length;i++) {
+          checkCue(cues[i], i)
+        }
+      }
+      var written = new Set()
+      // The comments that preceded a block, each written once
+      function commentsBefore(key, block) {
+        var text = ""
+        for(var j=0;j<comments.length;j++) {
+          if (comments[j][key] === block && !written.has(comments[j])) {
+            written.add(comments[j])
+            text += serializeComment(comments[j])
+          }
+        }
+        return text
+      }
+      var result = serializeKeyword("WEBVTT", header) + "\n\n"
+      for(var i=0;i<regions.length;i++) {
+        result += commentsBefore("region", regions[i]) + serializeRegion(regions[i])
+      }
       if (styles) {
         for(var i=0;i<styles.length;i++) {
-          result += serializeStyle(styles[i])
+          result += commentsBefore("style", styles[i]) + serializeStyle(styles[i])
+        }
+      }
+      for(var i=0;i<cues.length;i++) {
+        result += commentsBefore("cue", cues[i]) + serializeCue(cues[i])
+      }
+      // Comments at the end of the file or whose block went away
+      for(var j=0;j<comments.length;j++) {
+        if (!written.has(comments[j])) {
+          result += serializeComment(comments[j])
+        }
+      }
+      if (strict) {
+        checkRoundTrip(cues, result)
+      }
+      return lineEnding == "\n" ? result : result.replace(/\n/g, lineEnding)
+    }
+  }
+
+  /* Concrete syntax tree of a file for edits that leave the rest of it as it was. Blocks keep
+     their position and, for cues, the tokens of the timings line and of the text. print()
+     writes the file back byte for byte except where block.cue (its id, times, settings or
+     text) or the text of another block was changed. Blocks can also be removed, reordered or
+     added as {type:"cue", cue} or {type, text}; those get the serializer's spelling. */
+  var WebVTTDocument = function(input, entities, mode, options) {
+    var NEWLINE = /\r\n|\r|\n/,
+        parts = input.split(/(\r\n|\r|\n)/),
+        lines = [],
+        newline = (input.match(NEWLINE) || ["\n"])[0],
+        sources = new Map(),
+        regions = [],
+        index = 0,
+        self = this
+    if (!entities) {
+      entities = defaultEntities
+    }
+    this.bom = ""
+    if(parts[0][0] == "\uFEFF") {
+      this.bom = "\uFEFF"
+      parts[0] = parts[0].slice(1)
+    }
+    for(var i = 0; i < parts.length; i += 2)
+      lines.push({text:parts[i], newline:parts[i+1] || "", line:i/2 + 1})
+    this.blocks = []
+    this.errors = new WebVTTParser(entities, options).parse(input, mode).errors
+
+    /* BLOCKS */
+    // Up to a blank line, or a line with "-->" that cannot belong to the block
+    function collect(header) {
+      var block = []
+      while(index < lines.length && lines[index].text != "") {
+        if(lines[index].text.indexOf("-->") != -1 && block.length &&
+           (header || block.length > 1 || block[0].text.indexOf("-->") != -1))
+          break
+        block.push(lines[index++])
+      }
+      var separator = ""
+      while(index < lines.length && lines[index].text == "" && (lines[index].newline || index == lines.length - 1))
+        separator += lines[index++].newline
+      return {lines:block, separator:separator}
+    }
+    function source(text) {
+      return text.lines.map(function(line) { return line.text + line.newline }).join("")
+    }
+    function typeOf(block) {
+      var first = block.lines[0].text
+      if(first.indexOf("-->") != -1 || block.lines.length > 1 && block.lines[1].text.indexOf("-->") != -1)
+        return "cue"
+      if(/^NOTE($|[ \t])/.test(first))
+        return "comment"
+      if(/^STYLE[ \t]*$/.test(first))
+        return "style"
+      if(/^REGION[ \t]*$/.test(first))
+        return "region"
+      return "invalid"
+    }
+
+    /* TOKENS */
+    function tokens(text, line, types) {
+      var result = [],
+          m
+      for(var pattern = types.pattern; (m = pattern.exec(text)); ) {
+        result.push({type:types.type(m[0], result), text:m[0], line:line, col:m.index + 1, endCol:m.index + m[0].length + 1})
+      }
+      return result
+    }
+    var TIMINGS = {
+      pattern:/[ \t]+|-->|(?:(?!-->)[^ \t])+/g,
+      type:function(text, before) {
+        if(/^[ \t]/.test(text))
+          return "whitespace"
+        if(text == "-->")
+          return "arrow"
+        var arrow = before.some(function(token) { return token.type == "arrow" }),
+            end = before.some(function(token) { return token.type == "end" })
+        return !arrow ? "start" : !end ? "end" : "setting"
+      }
+    }
+    var TEXT = {
+      pattern:/<[^>]*>?|&[^&<\s]*|[^<&]+/g,
+      type:function(text) {
+        return text[0] == "<" ? "tag" : text[0] == "&" ? "escape" : "text"
+      }
+    }
+
+    function cueBlock(block) {
+      var timingsIndex = block.lines[0].text.indexOf("-->") != -1 ? 0 : 1,
+          timings = block.lines[timingsIndex],
+          text = block.lines.slice(timingsIndex + 1),
+          cue = Object.assign({}, defaultCueSettings, {
+            id:timingsIndex ? block.lines[0].text : "",
+            startTime:0,
+            endTime:0,
+            pauseOnExit:false,
+            region:null,
+            text:text.map(function(line) { return line.text }).join("\n"),
+            tree:null
+          })
+      if(!new WebVTTCueTimingsAndSettingsParser(timings.text, function() {}, regions).parse(cue, 0))
+        return {type:"invalid", line:block.lines[0].line, text:block.lines.map(function(line) { return line.text }).join("\n")}
+      if(!decodesPayloads(mode, options))
+        cue.tree = new WebVTTCueTextParser(cue.text, function() {}, mode, entities).parse(cue.startTime, cue.endTime)
+      var result = {type:"cue", line:block.lines[0].line, cue:cue, tokens:[]}
+      if(timingsIndex)
+        result.tokens.push({type:"id", text:cue.id, line:block.lines[0].line, col:1, endCol:cue.id.length + 1})
+      result.tokens = result.tokens.concat(tokens(timings.text, timings.line, TIMINGS))
+      for(var i = 0; i < text.length; i++)
+        result.tokens = result.tokens.concat(tokens(text[i].text, text[i].line, TEXT))
+      sources.set(result, {
+        source:source(block),
+        separator:block.separator,
+        id:cue.id,
+        idLine:timingsIndex ? source({lines:block.lines.slice(0, 1)}) : "",
+        timings:timings,
+        timingsTokens:result.tokens.filter(function(token) { return token.line == timings.line }),
+        startTime:cue.startTime,
+        endTime:cue.endTime,
+        settings:serializeCueSettings(cue),
+        text:cue.text,
+        textSource:source({lines:text}),
+        end:block.lines[block.lines.length-1].newline
+      })
+      return result
+    }
+
+    var header = collect(true)
+    this.blocks.push({type:"header", line:1, text:header.lines.map(function(line) { return line.text }).join("\n")})
+    sources.set(this.blocks[0], {source:source(header), separator:header.separator, text:this.blocks[0].text, end:header.lines.length ? header.lines[header.lines.length-1].newline : ""})
+    while(index < lines.length) {
+      var block = collect(false),
+          type = typeOf(block),
+          result
+      if(type == "cue") {
+        result = cueBlock(block)
+      } else {
+        result = {type:type, line:block.lines[0].line, text:block.lines.map(function(line) { return line.text }).join("\n")}
+        if(type == "region") {
+          result.region = Object.assign({}, defaultRegionSettings)
+          for(var i = 1; i < block.lines.length; i++)
+            new WebVTTRegionSettingsParser(block.lines[i].text, function() {}).parse(result.region)
+          regions.push(result.region)
+        }
+      }
+      if(!sources.has(result))
+        sources.set(result, {source:source(block), separator:block.separator, text:result.text, end:block.lines[block.lines.length-1].newline})
+      this.blocks.push(result)
+    }
+    for(var i = 0; i < this.blocks.length; i++)
+      sources.get(this.blocks[i]).next = this.blocks[i+1]
+    // How the file ends, for whichever block ends up last
+    var fileEnd = sources.get(this.blocks[this.blocks.length-1])
+
+    /* PRINTING */
+    function lineList(text, end) {
+      return text.split("\n").join(newline) + end
+    }
+    function printTimings(cue, src) {
+      var result = "",
+          settingsChanged = serializeCueSettings(cue) != src.settings
+      for(var i = 0; i < src.timingsTokens.length; i++) {
+        var token = src.timingsTokens[i],
+            rest = src.timingsTokens.slice(i)
+        if(token.type == "start")
+          result += cue.startTime == src.startTime ? token.text : serializeTimestamp(cue.startTime)
+        else if(token.type == "end")
+          result += cue.endTime == src.endTime ? token.text : serializeTimestamp(cue.endTime)
+        else if(settingsChanged && rest.every(function(token) { return token.type == "whitespace" || token.type == "setting" }))
+          break
+        else
+          result += token.text
+      }
+      return result + (settingsChanged ? serializeCueSettings(cue) : "") + src.timings.newline
+    }
+    function printCue(cue, src) {
+      var result = ""
+      if(!src)
+        return (cue.id ? cue.id + newline : "") + serializeTimestamp(cue.startTime) + " --> " + serializeTimestamp(cue.endTime)
+          + serializeCueSettings(cue) + newline + lineList(cue.text, newline)
+      if(cue.id == src.id && cue.startTime == src.startTime && cue.endTime == src.endTime &&
+         serializeCueSettings(cue) == src.settings && cue.text == src.text)
+        return src.source
+      if(cue.id == src.id)
+        result += src.idLine
+      else if(cue.id)
+        result += cue.id + newline
+      if(cue.startTime == src.startTime && cue.endTime == src.endTime && serializeCueSettings(cue) == src.settings)
+        result += src.timings.text + src.timings.newline
+      else
+        result += printTimings(cue, src)
+      if(cue.text == src.text)
+        result += src.textSource
+      else if(src.textSource == "")
+        // The timings line was the last one
+        result += (src.timings.newline ? "" : newline) + lineList(cue.text, src.timings.newline ? newline : "")
+      else if(cue.text != "")
+        result += lineList(cue.text, src.end)
+      return result
+    }
+    function printBlock(block, src) {
+      if(block.type == "cue")
+        return printCue(block.cue, src)
+      if(src && block.text == src.text)
+        return src.source
+      var text = block.text
+      if(!src && block.type == "comment" && !/^NOTE/.test(text))
+        text = "NOTE " + text
+      else if(!src && (block.type == "style" || block.type == "region") && !/^(STYLE|REGION)/.test(text))
+        text = block.type.toUpperCase() + "\n" + text
+      return lineList(text, src ? src.end : newline)
+    }
+
+    this.print = function() {
+      var result = self.bom
+      for(var i = 0; i < self.blocks.length; i++) {
+        var block = self.blocks[i],
+            next = self.blocks[i+1],
+            src = sources.get(block),
+            printed = printBlock(block, src)
+        if(src && src.next === next) {
+          printed += src.separator
+        } else if(next) {
+          // Somewhere else now: it needs to end with a blank line
+          if(!NEWLINE.test(printed.slice(-1)))
+            printed += newline
+          printed += src && NEWLINE.test(src.separator) ? src.separator : newline
+        } else {
+          // Last now: end the file as it ended
+          var end = printed.match(/(\r\n|\r|\n)$/)
+          if(end && !fileEnd.end)
+            printed = printed.slice(0, -end[0].length)
+          else if(!end && fileEnd.end)
+            printed += fileEnd.end
+          printed += fileEnd.separator
+        }
+        result += printed
+      }
+      return result
+    }
+  }
+
+  /* Turns a cue's tree into HTML following the WebVTT cue text DOM construction rules: <c>, <v>
+     and <lang> become <span> (with title and lang attributes for the annotations), timestamps
+     become <?timestamp ...> processing instructions. With a current time, the nodes that :past
+     and :future would match get a data-past or data-future attribute; text nodes are wrapped in
+     a <span> for that. */
+  var WebVTTCueRenderer = function() {
+    var ELEMENTS = {c:"span", i:"i", b:"b", u:"u", ruby:"ruby", rt:"rt", v:"span", lang:"span"}
+
+    // [{name, attributes, children}, {text, attributes}, {timestamp}] for either output
+    function build(tree, currentTime) {
+      var order = [],
+          results = []
+      function walk(nodes) {
+        for(var i = 0; i < nodes.length; i++) {
+          order.push(nodes[i])
+          if(nodes[i].children)
+            walk(nodes[i].children)
+        }
+      }
+      walk(tree.children)
+
+      // A node is in the past when a later timestamp has passed, in the future when an earlier
+      // one has not been reached yet
+      var states = new Map()
+      if(currentTime != undefined) {
+        var latest = -Infinity,
+            earliest = Infinity
+        for(var i = 0; i < order.length; i++) {
+          if(latest > currentTime)
+            states.set(order[i], "data-future")
+          if(order[i].type == "timestamp")
+            latest = Math.max(latest, order[i].value)
+        }
+        for(var i = order.length - 1; i >= 0; i--) {
+          if(earliest < currentTime)
+            states.set(order[i], "data-past")
+          if(order[i].type == "timestamp")
+            earliest = Math.min(earliest, order[i].value)
+        }
+      }
+      function convert(nodes) {
+        var result = []
+        for(var i = 0; i < nodes.length; i++) {
+          var node = nodes[i],
+              attributes = []
+          if(node.type == "object") {
+            if(node.classes && node.classes.length)
+              attributes.push(["class", node.classes.join(" ")])
+            if(node.name == "v")
+              attributes.push(["title", node.value || ""])
+            else if(node.name == "lang")
+              attributes.push(["lang", node.value || ""])
+            if(states.has(node))
+              attributes.push([states.get(node), ""])
+            result.push({name:ELEMENTS[node.name], attributes:attributes, children:convert(node.children)})
+          } else if(node.type == "text") {
+            if(states.has(node))
+              result.push({name:"span", attributes:[[states.get(node), ""]], children:[{text:node.value}]})
+            else
+              result.push({text:node.value})
+          } else if(node.type == "timestamp") {
+            result.push({timestamp:serializeTimestamp(node.value)})
+          }
+        }
+        return result
+      }
+      return convert(tree.children)
+    }
+
+    // As serialized by innerHTML
+    function escape(text, attribute) {
+      text = text.replace(/&/g, "&amp;").replace(/\u00A0/g, "&nbsp;")
+      return attribute ? text.replace(/"/g, "&quot;") : text.replace(/</g, "&lt;").replace(/>/g, "&gt;")
+    }
+    function toHTML(nodes) {
+      var result = ""
+      for(var i = 0; i < nodes.length; i++) {
+        var node = nodes[i]
+        if(node.text != undefined) {
+          result += escape(node.text)
+        } else if(node.timestamp) {
+          result += "<?timestamp " + node.timestamp + ">"
+        } else {
+          result += "<" + node.name
+          for(var j = 0; j < node.attributes.length; j++)
+            result += " " + node.attributes[j][0] + "=\"" + escape(node.attributes[j][1], true) + "\""
+          result += ">" + toHTML(node.children) + "</" + node.name + ">"
+        }
+      }
+      return result
+    }
+    function toDOM(nodes, document, parent) {
+      for(var i = 0; i < nodes.length; i++) {
+        var node = nodes[i]
+        if(node.text != undefined) {
+          parent.appendChild(document.createTextNode(node.text))
+        } else if(node.timestamp) {
+          parent.appendChild(document.createProcessingInstruction("timestamp", node.timestamp))
+        } else {
+          var element = document.createElement(node.name)
+          for(var j = 0; j < node.attributes.length; j++)
+            element.setAttribute(node.attributes[j][0], node.attributes[j][1])
+          toDOM(node.children, document, element)
+          parent.appendChild(element)
+        }
+      }
+      return parent
+    }
+
+    // A cue's tree, or its text as is for metadata cues, which have none
+    function treeOf(cue) {
+      if(cue.children)
+        return cue
+      return cue.tree || {children:[{type:"text", value:cue.text || ""}]}
+    }
+
+    // Takes a cue or its tree
+    this.renderHTML = function(cue, currentTime) {
+      return toHTML(build(treeOf(cue), currentTime))
+    }
+    // Returns a DocumentFragment of document, by default the global one
+    this.renderDOM = function(cue, currentTime, doc) {
+      doc = doc || document
+      return toDOM(build(treeOf(cue), currentTime), doc, doc.createDocumentFragment())
+    }
+  }
+
+  /* Applies mechanical fixes for errors of the parser and lists them. A fix is only kept when
+     the file then parses without that error. */
+  var WebVTTRepairer = function(entities, options) {
+    var ARROW = "-->",
+        TIMESTAMP_CODES = [
+          "timestamp-two-digits",
+          "timestamp-decimal-separator-missing",
+          "timestamp-milliseconds-digits",
+          "timestamp-arrow-whitespace-before",
+          "timestamp-arrow-whitespace-after"
+        ]
+
+    /* Rewrites a sloppy timestamp such as "1:2,5" as "01:02.500", or returns it unchanged.
+       Minutes or seconds over 59 are left for the author, as carrying them would only be a guess. */
+    function normalizeTimestamp(value) {
+      var m = value.match(/^(?:(\d+):)?(\d+):(\d+)(?:[.,](\d*))?$/)
+      if(!m || parseInt(m[2], 10) > 59 || parseInt(m[3], 10) > 59)
+        return value
+      return (m[1] != undefined ? m[1].padStart(2, "0") + ":" : "")
+        + m[2].slice(-2).padStart(2, "0") + ":"
+        + m[3].slice(-2).padStart(2, "0") + "."
+        + (m[4] || "").slice(0, 3).padEnd(3, "0")
+    }
+
+    // The elements still open at the end of cue text, or the offset of a "<" that starts no tag
+    function openElements(text) {
+      var tag = /<(\/?)([^ \t\n\f.>]*)[^>]*(>?)/g,
+          stack = [],
+          m
+      while(m = tag.exec(text)) {
+        var name = m[2],
+            current = stack[stack.length-1]
+        if(!m[3])
+          return {stray:m.index}
+        if(m[1]) {
+          if(name == current)
+            stack.pop()
+          else if(name == "ruby" && current == "rt")
+            stack.splice(-2)
+        } else if(/^(c|i|b|u|ruby|v|lang)$/.test(name) || name == "rt" && current == "ruby") {
+          stack.push(name)
+        }
+      }
+      return {stack:stack}
+    }
+
+    this.repair = function(input, mode) {
+      var parts = input.split(/(\r\n|\r|\n)/),
+          lines = [],
+          newlines = [],
+          origins = [],
+          changes = []
+      for(var i = 0; i < parts.length; i += 2) {
+        lines.push(parts[i])
+        origins.push(i / 2 + 1)
+        if(i + 1 < parts.length)
+          newlines.push(parts[i + 1])
+      }
+      var newline = newlines[0] || "\n"
+
+      function serialize() {
+        var result = lines[0]
+        for(var i = 1; i < lines.length; i++)
+          result += newlines[i-1] + lines[i]
+        return result
+      }
+      function parse() {
+        return new WebVTTParser(entities, options).parse(serialize(), mode).errors
+      }
+      function count(errors) {
+        var counts = {}
+        for(var i = 0; i < errors.length; i++)
+          counts[errors[i].code] = (counts[errors[i].code] || 0) + 1
+        return counts
+      }
+      // The errors that were fixed are gone. Others may show up, such as errors in the text of
+      // a cue that was dropped before its timings were fixed.
+      function improves(before, after, fixes) {
+        var expected = count(before),
+            counts = count(after)
+        for(var i = 0; i < fixes.length; i++)
+          expected[fixes[i].code]--
+        for(var i = 0; i < fixes.length; i++) {
+          if((counts[fixes[i].code] || 0) > expected[fixes[i].code])
+            return false
+        }
+        return true
+      }
+      function snapshot() {
+        return [lines.slice(), newlines.slice(), origins.slice()]
+      }
+      function restore(state) {
+        lines = state[0]
+        newlines = state[1]
+        origins = state[2]
+      }
+      function replace(index, start, end, value) {
+        lines[index] = lines[index].slice(0, start) + value + lines[index].slice(end)
+      }
+
+      /* FIXES
+         Each returns the change for an error, or nothing when it has no safe fix. */
+      function fixFor(error) {
+        var index = error.line - 1,
+            line = lines[index],
+            col = error.col - 1
+        function change(description, apply) {
+          return {code:error.code, index:index, line:origins[index], description:description, apply:apply}
+        }
+        function escape(at) {
+          var value = line[at] == "&" ? "&amp;" : "&lt;"
+          return change("Escaped \"" + line[at] + "\".", function() { replace(index, at, at + 1, value) })
+        }
+        if(error.code == "cue-blank-line-missing" ||
+           error.code == "header-blank-line-missing" && line.indexOf(ARROW) != -1) {
+          return change("Inserted a blank line.", function() {
+            lines.splice(index, 0, "")
+            newlines.splice(index, 0, newline)
+            origins.splice(index, 0, null)
+          })
+        }
+        if(TIMESTAMP_CODES.indexOf(error.code) != -1 && line.indexOf(ARROW) != -1) {
+          var m = line.match(/^([^ \t]*?)[ \t]*-->[ \t]*([^ \t]*)(.*)$/)
+          if(!m)
+            return
+          var timings = normalizeTimestamp(m[1]) + " " + ARROW + " " + normalizeTimestamp(m[2])
+          if(timings + m[3] == line)
+            return
+          return change("Rewrote the cue timings as \"" + timings + "\".", function() {
+            replace(index, 0, line.length - m[3].length, timings)
+          })
+        }
+        if(TIMESTAMP_CODES.indexOf(error.code) != -1 ||
+           error.code == "cue-text-start-tag-invalid" ||
+           error.code == "cue-text-annotation-not-allowed") {
+          var start = line.lastIndexOf("<", col),
+              end = line.indexOf(">", start)
+          if(start == -1)
+            return
+          // Not meant as a tag
+          if(end == -1 || /[ \t\f]/.test(line[start + 1]))
+            return escape(start)
+          var value = line.slice(start + 1, end),
+              timestamp = normalizeTimestamp(value)
+          if(timestamp == value)
+            return
+          return change("Rewrote the timestamp as \"" + timestamp + "\".", function() {
+            replace(index, start + 1, end, timestamp)
+          })
+        }
+        if(error.code == "cue-text-escape-invalid" && line[col] == "&") {
+          return escape(col)
+        }
+        if(error.code == "cue-text-end-tag-missing") {
+          var first = index
+          while(first > 0 && lines[first-1].indexOf(ARROW) == -1)
+            first--
+          var text = lines.slice(first, index + 1).join("\n"),
+              open = openElements(text)
+          if(open.stray != undefined) {
+            var before = text.slice(0, open.stray).split("\n")
+            index = first + before.length - 1
+            line = lines[index]
+            return escape(before[before.length-1].length)
+          }
+          var endTags = ""
+          for(var i = open.stack.length - 1; i >= 0; i--) {
+            if(open.stack[i] != "v")
+              endTags += "</" + open.stack[i] + ">"
+          }
+          if(endTags == "")
+            return
+          return change("Added the end tags \"" + endTags + "\".", function() { lines[index] += endTags })
+        }
+      }
+
+      // Comments move along with the cue that follows them
+      function sortCues() {
+        var blocks = [],
+            block = null
+        for(var i = 0; i < lines.length; i++) {
+          if(lines[i] == "") {
+            block = null
+          } else if(block) {
+            block.end = i
+          } else {
+            block = {start:i, end:i}
+            blocks.push(block)
+          }
+        }
+        var cues = [],
+            pending = []
+        // The first block is the header
+        for(var i = 1; i < blocks.length; i++) {
+          var first = lines[blocks[i].start],
+              timings = first.indexOf(ARROW) != -1 ? first : lines[blocks[i].start + 1] || ""
+          if(/^NOTE($|[ \t])/.test(first)) {
+            pending.push(blocks[i])
+          } else if(timings.indexOf(ARROW) != -1) {
+            var startTime = new WebVTTCueTimingsAndSettingsParser(timings.split(ARROW)[0].trim(), function() {}).parseTimestamp()
+            if(startTime == undefined)
+              return
+            cues.push({blocks:pending.concat(blocks[i]), startTime:startTime, index:cues.length})
+            pending = []
+          } else if(cues.length) {
+            return
+          } else {
+            pending = []
+          }
+        }
+        if(!cues.length || pending.length)
+          return
+        var sorted = cues.slice().sort(function(a, b) { return a.startTime - b.startTime || a.index - b.index }),
+            from = cues[0].blocks[0].start,
+            to = blocks[blocks.length-1].end,
+            moved,
+            result = [],
+            resultOrigins = []
+        for(var i = 0; i < sorted.length; i++) {
+          if(sorted[i].index != i && moved == undefined)
+            moved = sorted[i].blocks[0].start
+          for(var j = 0; j < sorted[i].blocks.length; j++) {
+            if(result.length) {
+              result.push("")
+              resultOrigins.push(null)
+            }
+            for(var k = sorted[i].blocks[j].start; k <= sorted[i].blocks[j].end; k++) {
+              result.push(lines[k])
+              resultOrigins.push(origins[k])
+            }
+          }
         }
+        if(moved == undefined)
+          return
+        return {code:"cue-start-order", line:origins[moved], description:"Sorted the cues by start time.", apply:function() {
+          var separators = []
+          for(var i = 1; i < result.length; i++)
+            separators.push(newline)
+          lines.splice.apply(lines, [from, to - from + 1].concat(result))
+          origins.splice.apply(origins, [from, to - from + 1].concat(resultOrigins))
+          newlines.splice.apply(newlines, [from, to - from].concat(separators))
+        }}
+      }
+
+      var errors = parse()
+      for(var round = 0; round < 20; round++) {
+        var fixes = [],
+            fixed = {},
+            accepted = []
+        for(var i = 0; i < errors.length; i++) {
+          if(fixed[errors[i].line])
+            continue
+          var fix = fixFor(errors[i])
+          if(fix && !fixed[fix.index + 1]) {
+            fixed[errors[i].line] = fixed[fix.index + 1] = true
+            fixes.push(fix)
+          }
+        }
+        if(!fixes.length)
+          break
+        // Bottom up, so inserting a line leaves the lines of the other fixes alone
+        fixes.sort(function(a, b) { return b.index - a.index })
+        var state = snapshot()
+        for(var i = 0; i < fixes.length; i++)
+          fixes[i].apply()
+        var after = parse()
+        if(improves(errors, after, fixes)) {
+          accepted = fixes
+          errors = after
+        } else {
+          // Try them one by one
+          restore(state)
+          for(var i = 0; i < fixes.length; i++) {
+            state = snapshot()
+            fixes[i].apply()
+            after = parse()
+            if(improves(errors, after, [fixes[i]])) {
+              accepted.push(fixes[i])
+              errors = after
+            } else {
+              restore(state)
+            }
+          }
+        }
+        if(!accepted.length)
+          break
+        // Listed top down
+        for(var i = accepted.length - 1; i >= 0; i--)
+          changes.push({code:accepted[i].code, line:accepted[i].line, description:accepted[i].description})
+      }
+      for(var i = 0; i < errors.length; i++) {
+        if(errors[i].code == "cue-start-order") {
+          var state = snapshot(),
+              fix = sortCues()
+          if(fix) {
+            fix.apply()
+            var after = parse()
+            if(improves(errors, after, [fix])) {
+              changes.push({code:fix.code, line:fix.line, description:fix.description})
+              errors = after
+            } else {
+              restore(state)
+            }
+          }
+          break
+        }
+      }
+      return {vtt:serialize(), changes:changes, errors:errors}
+    }
+  }
+
+  /* Moves cue times: shift, linear scale, two-point sync and frame rate conversion, each for all
+     cues or those starting in range {start, end}. Timestamps in cue text move along. Cues are
+     changed in place and returned in start time order, with the text of cues with timestamps
+     written again from their tree. Times that would become negative are clamped to zero,
+     dropping cues that would end there and timestamps no longer inside their cue, unless
+     options.invalid is "reject": then a RangeError is thrown and nothing changes. */
+  var WebVTTRetimer = function(options) {
+    var reject = (options || {}).invalid == "reject",
+        serializer = new WebVTTSerializer()
+
+    function round(seconds) {
+      return Math.round(seconds * 1000) / 1000
+    }
+    // 23.976 stands for 24000/1001, 29.97 for 30000/1001 and so on
+    function frameRate(rate) {
+      if(!(rate > 0))
+        throw new RangeError("Frame rate " + rate + " is not a positive number.")
+      var ntsc = Math.round(rate * 1.001)
+      return rate != ntsc && Math.abs(rate - ntsc / 1.001) < 0.005 ? ntsc / 1.001 : rate
+    }
+
+    function retime(cues, map, range) {
+      var changes = []
+      for(var i = 0; i < cues.length; i++) {
+        var cue = cues[i]
+        if(range && (range.start != undefined && cue.startTime < range.start || range.end != undefined && cue.startTime >= range.end))
+          continue
+        var startTime = round(map(cue.startTime)),
+            endTime = round(map(cue.endTime))
+        if(startTime < 0 || endTime <= startTime) {
+          if(reject)
+            throw new RangeError("Cue " + (cue.id || i + 1) + " would " + (startTime < 0 ? "start before zero." : "end before it starts."))
+          startTime = Math.max(0, startTime)
+          if(endTime <= startTime)
+            startTime = endTime = null
+        }
+        if(reject && startTime != null && cue.tree && !timestampsInside(cue.tree.children, startTime, endTime))
+          throw new RangeError("Cue " + (cue.id || i + 1) + " would have a timestamp outside of it.")
+        changes.push({cue:cue, startTime:startTime, endTime:endTime})
+      }
+      // The parser wants timestamps strictly between the start and end of the cue
+      function timestampsInside(nodes, startTime, endTime) {
+        return nodes.every(function(node) {
+          if(node.type == "timestamp") {
+            var value = round(map(node.value))
+            return value > startTime && value < endTime
+          }
+          return !node.children || timestampsInside(node.children, startTime, endTime)
+        })
+      }
+      /* Timestamps that end up outside the cue are dropped, joining the text around them. Returns
+         whether there were timestamps. */
+      function retimeTree(nodes, startTime, endTime) {
+        var found = false
+        for(var i = nodes.length - 1; i >= 0; i--) {
+          if(nodes[i].type == "timestamp") {
+            found = true
+            var value = round(map(nodes[i].value))
+            if(value > startTime && value < endTime) {
+              nodes[i].value = value
+            } else if(nodes[i-1] && nodes[i-1].type == "text" && nodes[i+1] && nodes[i+1].type == "text") {
+              nodes[i-1].value += nodes[i+1].value
+              nodes.splice(i, 2)
+            } else {
+              nodes.splice(i, 1)
+            }
+          } else if(nodes[i].children) {
+            found = retimeTree(nodes[i].children, startTime, endTime) || found
+          }
+        }
+        return found
+      }
+      var dropped = new Set()
+      for(var i = 0; i < changes.length; i++) {
+        var change = changes[i]
+        if(change.startTime == null) {
+          dropped.add(change.cue)
+          continue
+        }
+        // The text follows the timestamps of the tree
+        if(change.cue.tree && retimeTree(change.cue.tree.children, change.startTime, change.endTime))
+          change.cue.text = serializer.serializeCueText(change.cue)
+        change.cue.startTime = change.startTime
+        change.cue.endTime = change.endTime
+      }
+      return cues.filter(function(cue) { return !dropped.has(cue) }).sort(function(a, b) {
+        return a.startTime - b.startTime
+      })
+    }
+
+    // By offset seconds
+    this.shift = function(cues, offset, range) {
+      return retime(cues, function(t) { return t + offset }, range)
+    }
+    // Stretches times away from origin (zero by default) by factor
+    this.scale = function(cues, factor, origin, range) {
+      if(!(factor > 0))
+        throw new RangeError("Scale factor " + factor + " is not a positive number.")
+      origin = origin || 0
+      return retime(cues, function(t) { return origin + (t - origin) * factor }, range)
+    }
+    // Maps the two times of from onto the two times of to, such as the first and the last line
+    // of dialogue onto when they are heard
+    this.sync = function(cues, from, to, range) {
+      var factor = (to[1] - to[0]) / (from[1] - from[0])
+      if(!(factor > 0) || !isFinite(factor))
+        throw new RangeError("Sync points need to be two different times, in the same order.")
+      return retime(cues, function(t) { return to[0] + (t - from[0]) * factor }, range)
+    }
+    // For a video sped up or slowed down from one frame rate to the other, such as 25 to 23.976
+    this.convertFrameRate = function(cues, from, to, range) {
+      return this.scale(cues, frameRate(from) / frameRate(to), 0, range)
+    }
+  }
+
+  /* Limits of the caption quality checks, after the Netflix and BBC subtitle guidelines. Times
+     are in seconds, lengths in characters. */
+  var lintPresets = {
+    netflix: {maxCharsPerSecond:20, maxCharsPerLine:42, maxLines:2, minDuration:0.833, maxDuration:7, minGap:0.083, allowOverlaps:false},
+    bbc: {maxCharsPerSecond:17, maxCharsPerLine:37, maxLines:2, minDuration:1, maxDuration:10, minGap:0.04, allowOverlaps:false}
+  }
+
+  /* Caption quality checks on parsed cues: reading speed, characters per line, lines per cue,
+     duration, the gap between cues and overlaps. config takes a preset and limits replacing
+     those of the preset; checks without a limit are skipped. Text is measured as displayed,
+     without markup and ruby text. Returns warnings {code, severity, message, cue, value, limit},
+     with severities changed or turned "off" by config.severities like for the parser. */
+  var WebVTTLinter = function(config) {
+    config = config || {}
+    if(config.preset && !lintPresets[config.preset])
+      throw new Error("Unknown preset " + config.preset + ".")
+    var limits = Object.assign({}, lintPresets[config.preset], config)
+
+    function textOf(cue) {
+      var result = ""
+      function walk(nodes) {
+        for(var i = 0; i < nodes.length; i++) {
+          if(nodes[i].type == "text")
+            result += nodes[i].value
+          else if(nodes[i].type == "object" && nodes[i].name != "rt")
+            walk(nodes[i].children)
+        }
+      }
+      // Metadata cues have no tree
+      if(!cue.tree)
+        return cue.text
+      walk(cue.tree.children)
+      return result
+    }
+    function length(text) {
+      return Array.from(text).length
+    }
+    function round(value) {
+      return Math.round(value * 1000) / 1000
+    }
+
+    // Takes the result of WebVTTParser.parse() or its cues
+    this.lint = function(input) {
+      var cues = (input.cues || input).slice().sort(function(a, b) { return a.startTime - b.startTime }),
+          warnings = [],
+          latest = null
+      function warn(code, message, cue, value, limit) {
+        var severity = (config.severities && config.severities[code]) || diagnostics[code].severity
+        if(severity != "off")
+          warnings.push({code:code, severity:severity, message:message, cue:cue, value:value, limit:limit})
+      }
+      for(var i = 0; i < cues.length; i++) {
+        var cue = cues[i],
+            lines = textOf(cue).split("\n"),
+            duration = round(cue.endTime - cue.startTime),
+            characters = length(lines.join(""))
+        if(limits.maxCharsPerSecond != undefined && duration > 0 && characters / duration > limits.maxCharsPerSecond) {
+          var speed = Math.round(characters / duration * 10) / 10
+          warn("lint-reading-speed", "Reading speed of " + speed + " characters per second is above " + limits.maxCharsPerSecond + ".", cue, speed, limits.maxCharsPerSecond)
+        }
+        if(limits.maxCharsPerLine != undefined) {
+          for(var j = 0; j < lines.length; j++) {
+            if(length(lines[j]) > limits.maxCharsPerLine)
+              warn("lint-line-length", "Line " + (j + 1) + " has " + length(lines[j]) + " characters, more than " + limits.maxCharsPerLine + ".", cue, length(lines[j]), limits.maxCharsPerLine)
+          }
+        }
+        if(limits.maxLines != undefined && lines.length > limits.maxLines)
+          warn("lint-line-count", "Cue has " + lines.length + " lines, more than " + limits.maxLines + ".", cue, lines.length, limits.maxLines)
+        if(limits.minDuration != undefined && duration < limits.minDuration)
+          warn("lint-duration-short", "Cue is shown for " + duration + "s, less than " + limits.minDuration + "s.", cue, duration, limits.minDuration)
+        if(limits.maxDuration != undefined && duration > limits.maxDuration)
+          warn("lint-duration-long", "Cue is shown for " + duration + "s, more than " + limits.maxDuration + "s.", cue, duration, limits.maxDuration)
+        // The gap to the cue before that ends last
+        if(latest) {
+          var gap = round(cue.startTime - latest.endTime)
+          if(gap < 0 && !limits.allowOverlaps)
+            warn("lint-overlap", "Cue overlaps the cue before by " + -gap + "s.", cue, -gap, 0)
+          // Back-to-back cues are fine
+          else if(gap > 0 && limits.minGap != undefined && gap < limits.minGap)
+            warn("lint-gap-short", "Gap of " + gap + "s to the cue before is less than " + limits.minGap + "s.", cue, gap, limits.minGap)
+        }
+        if(!latest || cue.endTime > latest.endTime)
+          latest = cue
+      }
+      return warnings
+    }
+  }
+
+  /* Answers which cues are active at a time or during a range without going through all of them,
+     and where the next or previous boundary is: a cue start or end, or a timestamp in cue text.
+     Takes the result of WebVTTParser.parse() or its cues; cues are returned in the parser's order. */
+  var WebVTTCueIndex = function(input) {
+    var cues = (input.cues || input).slice().sort(function(a, b) {
+          return a.startTime - b.startTime || b.endTime - a.endTime
+        }),
+        // The latest end time of the cues up to each one
+        maxEnd = [],
+        boundaries = [],
+        timestamps = []
+    for(var i = 0; i < cues.length; i++) {
+      maxEnd.push(Math.max(cues[i].endTime, i ? maxEnd[i-1] : -Infinity))
+      boundaries.push(cues[i].startTime, cues[i].endTime)
+      if(cues[i].tree)
+        collect(cues[i], cues[i].tree.children)
+    }
+    function collect(cue, nodes) {
+      for(var i = 0; i < nodes.length; i++) {
+        if(nodes[i].type == "timestamp") {
+          boundaries.push(nodes[i].value)
+          timestamps.push({cue:cue, time:nodes[i].value})
+        }
+        if(nodes[i].children)
+          collect(cue, nodes[i].children)
+      }
+    }
+    boundaries = boundaries.sort(function(a, b) { return a - b }).filter(function(time, i) {
+      return i == 0 || time != boundaries[i-1]
+    })
+    timestamps.sort(function(a, b) { return a.time - b.time })
+
+    // The number of items of sorted whose key is at most (or below, when strict) time
+    function count(sorted, time, key, strict) {
+      var low = 0, high = sorted.length
+      while(low < high) {
+        var middle = (low + high) >> 1,
+            value = key(sorted[middle])
+        if(value < time || !strict && value == time)
+          low = middle + 1
+        else
+          high = middle
+      }
+      return low
+    }
+    function startTime(cue) { return cue.startTime }
+    function identity(time) { return time }
+
+    // Cues with startTime < end and endTime > start, going back from the last cue starting
+    // before end until no earlier cue reaches start
+    function overlapping(start, end, strict) {
+      var result = []
+      for(var i = count(cues, end, startTime, strict) - 1; i >= 0 && maxEnd[i] > start; i--) {
+        if(cues[i].endTime > start)
+          result.push(cues[i])
+      }
+      return result.reverse()
+    }
+
+    this.cues = cues
+    // The cues with startTime <= time < endTime
+    this.activeAt = function(time) {
+      return overlapping(time, time, false)
+    }
+    // The cues shown at some point from start to end
+    this.between = function(start, end) {
+      return overlapping(start, end, true)
+    }
+    // The first boundary after time, or undefined
+    this.nextBoundary = function(time) {
+      return boundaries[count(boundaries, time, identity, false)]
+    }
+    // The last boundary before time, or undefined
+    this.previousBoundary = function(time) {
+      return boundaries[count(boundaries, time, identity, true) - 1]
+    }
+    // Timestamps in cue text after start up to end, as {cue, time}
+    this.timestampsBetween = function(start, end) {
+      return timestamps.slice(count(timestamps, start, function(t) { return t.time }, false),
+                              count(timestamps, end, function(t) { return t.time }, false))
+    }
+
+    /* Follows the playback position like the time marches on steps of a TextTrack. update(time,
+       seeking) returns {entered, exited, active, timestamps} and calls onenter(cue), onexit(cue),
+       ontimestamp(cue, time) and oncuechange(changes) when there are any. Playing forward past a
+       whole cue enters and exits it; seeking does not. Timestamps are those passed in the text
+       of the cues shown before, after or in between. */
+    this.cursor = function() {
+      var index = this,
+          cursor = {onenter:null, onexit:null, ontimestamp:null, oncuechange:null, time:null, active:[]}
+      cursor.update = function(time, seeking) {
+        var previous = cursor.time,
+            before = new Set(cursor.active),
+            active = index.activeAt(time),
+            now = new Set(active),
+            missed = [],
+            passed = []
+        if(previous != null && !seeking && time > previous) {
+          missed = index.between(previous, time).filter(function(cue) {
+            return cue.startTime >= previous && cue.endTime <= time && !before.has(cue)
+          })
+        }
+        if(previous != null && time != previous) {
+          passed = index.timestampsBetween(Math.min(previous, time), Math.max(previous, time)).filter(function(t) {
+            return now.has(t.cue) || before.has(t.cue) || missed.indexOf(t.cue) != -1
+          })
+          if(time < previous)
+            passed.reverse()
+        }
+        var entered = active.filter(function(cue) { return !before.has(cue) }).concat(missed).sort(function(a, b) {
+              return a.startTime - b.startTime
+            }),
+            exited = cursor.active.filter(function(cue) { return !now.has(cue) }).concat(missed).sort(function(a, b) {
+              return a.endTime - b.endTime
+            }),
+            changes = {entered:entered, exited:exited, active:active, timestamps:passed}
+        cursor.time = time
+        cursor.active = active
+        entered.forEach(function(cue) { emit("onenter", cue) })
+        exited.forEach(function(cue) { emit("onexit", cue) })
+        passed.forEach(function(t) { emit("ontimestamp", t.cue, t.time) })
+        if(entered.length || exited.length)
+          emit("oncuechange", changes)
+        return changes
+      }
+      function emit(name) {
+        if(cursor[name])
+          cursor[name].apply(cursor, Array.prototype.slice.call(arguments, 1))
+      }
+      return cursor
+    }
+  }
+
+  /* SubRip (.srt) writer. Only <i>, <b> and <u> survive; voices become a "Name: " prefix,
+     ruby text is put in parentheses after its base (and left out when empty) and the rest is
+     flattened to text. */
+  var SRTSerializer = function() {
+    function serializeTimestamp(seconds) {
+      var ms = Math.round(seconds * 1000),
+          h = Math.floor(ms / 3600000),
+          m = Math.floor(ms / 60000) % 60,
+          s = Math.floor(ms / 1000) % 60
+      return ("" + h).padStart(2, "0") + ":" + ("" + m).padStart(2, "0") + ":" + ("" + s).padStart(2, "0") + "," + ("" + ms % 1000).padStart(3, "0")
+    }
+    function serializeTree(tree) {
+      var result = ""
+      for (var i = 0; i < tree.length; i++) {
+        var node = tree[i]
+        if(node.type == "text") {
+          result += node.value
+        } else if(node.type == "object") {
+          var children = serializeTree(node.children || [])
+          if(node.name == "i" || node.name == "b" || node.name == "u") {
+            result += "<" + node.name + ">" + children + "</" + node.name + ">"
+          } else if(node.name == "v" && node.value) {
+            result += node.value + ": " + children
+          } else if(node.name == "ruby") {
+            result += rubyPairs(node).map(function(pair) {
+              var text = pair.text && serializeTree(pair.text.children || [])
+              return serializeTree(pair.base) + (text ? "(" + text + ")" : "")
+            }).join("")
+          } else {
+            result += children
+          }
+        }
+        // timestamps have no SRT equivalent
       }
+      return result
+    }
+    function serializeCue(cue, number) {
+      // a blank line would end the cue early
+      var text = (cue.tree ? serializeTree(cue.tree.children) : cue.text).replace(/\n([ \t\f]*\n)+/g, "\n").replace(/^\n+|\n+$/g, "")
+      return number + "\n"
+        + serializeTimestamp(cue.startTime)
+        + " --> "
+        + serializeTimestamp(cue.endTime)
+        + "\n" + text + "\n\n"
+    }
+    this.serialize = function(cues) {
+      var result = ""
       for(var i=0;i<cues.length;i++) {
-        result += serializeCue(cues[i])
+        result += serializeCue(cues[i], i + 1)
       }
       return result
     }
@@ -879,9 +3644,28 @@
 
   function exportify(object) {
     object.WebVTTParser = WebVTTParser
+    object.WebVTTStreamParser = WebVTTStreamParser
+    object.createWebVTTNodeTransform = createWebVTTNodeTransform
+    object.createWebVTTTransformStream = createWebVTTTransformStream
+    object.WebVTTRegionSettingsParser = WebVTTRegionSettingsParser
     object.WebVTTCueTimingsAndSettingsParser = WebVTTCueTimingsAndSettingsParser
     object.WebVTTCueTextParser = WebVTTCueTextParser
+    object.WebVTTStyleParser = WebVTTStyleParser
     object.WebVTTSerializer = WebVTTSerializer
+    object.WebVTTDocument = WebVTTDocument
+    object.WebVTTCueRenderer = WebVTTCueRenderer
+    object.WebVTTRepairer = WebVTTRepairer
+    object.WebVTTRetimer = WebVTTRetimer
+    object.WebVTTLinter = WebVTTLinter
+    object.WebVTTCueIndex = WebVTTCueIndex
+    object.SRTParser = SRTParser
+    object.SRTSerializer = SRTSerializer
+    object.WebVTTRubyPairs = rubyPairs
+    object.WebVTTDefaultCueSettings = defaultCueSettings
+    object.WebVTTDefaultRegionSettings = defaultRegionSettings
+    object.WebVTTDefaultEntities = defaultEntities
+    object.WebVTTDiagnostics = diagnostics
+    object.WebVTTLintPresets = lintPresets
   }
   if (typeof window !== 'undefined') exportify(window);
   if (typeof exports !== 'undefined') exportify(exports);
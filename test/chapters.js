@@ -0,0 +1,28 @@
+const assert = require("chai").assert;
+const { WebVTTParser } = require("../parser.js");
+const { WebVTTChapterExporter } = require("../chapters.js");
+
+describe("Tests the chapter exporter", () => {
+  const exporter = new WebVTTChapterExporter();
+  const { chapters } = new WebVTTParser().parse("WEBVTT\n\n00:00.000 --> 10:00.000\nIntro\n\n"
+    + "00:00.000 --> 05:00.000\nWelcome\n\n10:00.000 --> 1:02:03.500\nThe = part; #2\n", "chapters");
+
+  it("writes a YouTube description list", () => {
+    assert.equal(exporter.toYouTube(chapters), "0:00 Intro\n10:00 The = part; #2\n");
+    assert.equal(exporter.toYouTube([{title: "A", start: 0}, {title: "B\nC", start: 3723.5}]), "0:00:00 A\n1:02:03 B C\n");
+  });
+
+  it("writes ffmetadata", () => {
+    assert.equal(exporter.toFFMetadata(chapters), ";FFMETADATA1\n\n[CHAPTER]\nTIMEBASE=1/1000\nSTART=0\nEND=600000\ntitle=Intro\n\n"
+      + "[CHAPTER]\nTIMEBASE=1/1000\nSTART=600000\nEND=3723500\ntitle=The \\= part\\; \\#2\n");
+  });
+
+  it("writes nested Matroska chapters", () => {
+    const xml = exporter.toMatroskaXML(chapters, "eng");
+    assert.include(xml, "<ChapterAtom>\n      <ChapterTimeStart>00:00:00.000000000</ChapterTimeStart>\n"
+      + "      <ChapterTimeEnd>00:10:00.000000000</ChapterTimeEnd>\n      <ChapterDisplay>\n        <ChapterString>Intro</ChapterString>\n"
+      + "        <ChapterLanguage>eng</ChapterLanguage>\n      </ChapterDisplay>\n      <ChapterAtom>\n        <ChapterTimeStart>00:00:00.000000000</ChapterTimeStart>\n");
+    assert.include(xml, "<ChapterTimeEnd>01:02:03.500000000</ChapterTimeEnd>");
+    assert.equal(xml.match(/<ChapterAtom>/g).length, 3);
+  });
+});
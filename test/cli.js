@@ -0,0 +1,94 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { assert } = require('chai');
+
+const cli = path.join(__dirname, "..", "cli.js");
+function webvtt(args, input, cwd) {
+  return spawnSync(process.execPath, [cli].concat(args), {input: input || "", cwd: cwd, encoding: "utf-8"});
+}
+
+describe("Tests the command line", () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "webvtt-"));
+    fs.mkdirSync(path.join(dir, "sub"));
+    fs.writeFileSync(path.join(dir, "good.vtt"), "WEBVTT\n\n00:01.000 --> 00:02.000\nfoo\n");
+    fs.writeFileSync(path.join(dir, "sub", "bad.vtt"), "WEBVTT\n\n00:01.000 --> 00:02.000 align:middle\nfoo\n");
+    fs.writeFileSync(path.join(dir, "sub", "warning.vtt"), "WEBVTT\n\n00:01.000 --> 00:02.000 region:nope\nfoo\n");
+  });
+  after(() => {
+    fs.rmSync(dir, {recursive: true});
+  });
+
+  it("validates files matched by globs", () => {
+    const res = webvtt(["validate", "**/*.vtt"], "", dir);
+    assert.equal(res.status, 1);
+    assert.equal(res.stdout, "sub/bad.vtt:3:25: error: Alignment can only be set to one of start, center, end, left, right. (setting-align-invalid)\n"
+      + "sub/warning.vtt:3:25: warning: No region with this identifier defined. (setting-region-not-found)\n");
+  });
+  it("exits depending on the severity", () => {
+    assert.equal(webvtt(["validate", "sub/warning.vtt"], "", dir).status, 0);
+    assert.equal(webvtt(["validate", "--fail-on", "warning", "sub/warning.vtt"], "", dir).status, 1);
+    assert.equal(webvtt(["validate", "--fail-on=never", "sub/bad.vtt"], "", dir).status, 0);
+    assert.equal(webvtt(["validate", "missing.vtt"], "", dir).status, 2);
+  });
+  it("prints JSON and SARIF", () => {
+    const json = JSON.parse(webvtt(["validate", "-f", "json"], "WEBVTT\n\nfoo\n").stdout);
+    assert.deepEqual(json, [{name: "-", errors: [
+      {code: "cue-identifier-standalone", severity: "error", message: "Cue identifier cannot be standalone.", line: 3, col: 1, endLine: 3, endCol: 4}
+    ]}]);
+    const sarif = JSON.parse(webvtt(["validate", "--format", "sarif", "sub/bad.vtt"], "", dir).stdout);
+    assert.equal(sarif.version, "2.1.0");
+    assert.deepEqual(sarif.runs[0].results[0].locations[0].physicalLocation, {
+      artifactLocation: {uri: "sub/bad.vtt"},
+      region: {startLine: 3, startColumn: 25, endLine: 3, endColumn: 37}
+    });
+    assert.equal(sarif.runs[0].tool.driver.rules[0].id, "setting-align-invalid");
+  });
+  it("formats and shifts stdin to stdout", () => {
+    const vtt = "WEBVTT\n\n00:00:01.000 --> 00:00:02.000 align:center\n<i>a</i> <00:01.500>b\n";
+    assert.equal(webvtt(["format"], vtt).stdout, "WEBVTT\n\n00:01.000 --> 00:02.000\n<i>a</i> <00:01.500>b\n\n");
+    assert.equal(webvtt(["shift", "--", "-0.5"], vtt).stdout, "WEBVTT\n\n00:00.500 --> 00:01.500\n<i>a</i> <00:01.000>b\n\n");
+    assert.equal(webvtt(["shift", "01:00:00.000"], vtt).stdout, "WEBVTT\n\n1:00:01.000 --> 1:00:02.000\n<i>a</i> <1:00:01.500>b\n\n");
+    assert.equal(webvtt(["shift", "-2"], vtt).status, 2);
+  });
+  it("rewrites files in place", () => {
+    fs.writeFileSync(path.join(dir, "write.vtt"), "WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nfoo\n");
+    const res = webvtt(["shift", "--write", "1", "write.vtt"], "", dir);
+    assert.equal(res.status, 0);
+    assert.equal(fs.readFileSync(path.join(dir, "write.vtt"), "utf-8"), "WEBVTT\n\n00:02.000 --> 00:03.000\nfoo\n\n");
+  });
+  it("leaves files with errors and files that are not WebVTT alone", () => {
+    const vtt = "WEBVTT\n\n00:01.000 --> 00:02.000\na\n\n00:03.00 --> 00:04.000\nb\n";
+    fs.writeFileSync(path.join(dir, "lossy.vtt"), vtt);
+    const res = webvtt(["format", "--write", "lossy.vtt"], "", dir);
+    assert.equal(res.status, 1);
+    assert.include(res.stderr, "lossy.vtt: not rewritten because of the errors above\n");
+    assert.equal(fs.readFileSync(path.join(dir, "lossy.vtt"), "utf-8"), vtt);
+    const srt = "1\n00:00:01,000 --> 00:00:02,000\nhi\n";
+    fs.writeFileSync(path.join(dir, "subs.srt"), srt);
+    const notVTT = webvtt(["format", "--write", "subs.srt"], "", dir);
+    assert.equal(notVTT.status, 2);
+    assert.include(notVTT.stderr, "subs.srt is not a WebVTT file.");
+    assert.equal(fs.readFileSync(path.join(dir, "subs.srt"), "utf-8"), srt);
+  });
+  it("reports files that are not UTF-8", () => {
+    fs.writeFileSync(path.join(dir, "latin1.vtt"), Buffer.from("WEBVTT\n\n00:01.000 --> 00:02.000\ncaf\u00e9\n", "latin1"));
+    assert.equal(webvtt(["validate", "latin1.vtt"], "", dir).stdout,
+      "latin1.vtt:4:4: error: File is not UTF-8 and was read as Windows-1252; WebVTT files must be UTF-8. (encoding-legacy)\n");
+  });
+  it("converts between formats", () => {
+    assert.equal(webvtt(["convert", "--from", "srt"], "1\n00:00:01,000 --> 00:00:02,000\n<i>hi</i>\n").stdout,
+      "WEBVTT\n\n00:01.000 --> 00:02.000\n<i>hi</i>\n\n");
+    assert.equal(webvtt(["convert", "--to", "srt"], "WEBVTT\n\n00:01.000 --> 00:02.000\n<v Bob>hi\n").stdout,
+      "1\n00:00:01,000 --> 00:00:02,000\nBob: hi\n\n");
+    const res = webvtt(["convert", "--to", "ttml"], "WEBVTT\n\n00:01.000 --> 00:02.000\nhi\n");
+    assert.equal(res.status, 0);
+    assert.include(res.stdout, '<p begin="00:00:01.000" end="00:00:02.000" region="r1" tts:textAlign="center">hi</p>');
+    fs.writeFileSync(path.join(dir, "in.srt"), "1\n00:00:01,000 --> 00:00:02,000\nhi\n");
+    webvtt(["convert", "in.srt", "-o", "out.ttml"], "", dir);
+    assert.include(fs.readFileSync(path.join(dir, "out.ttml"), "utf-8"), "<tt ");
+  });
+});
@@ -0,0 +1,52 @@
+const assert = require("chai").assert;
+const { WebVTTParser } = require("../parser.js");
+const { WebVTTSegmenter } = require("../hls.js");
+
+describe("Tests HLS segments", () => {
+  const track = new WebVTTParser().parse("WEBVTT\n\n1\n00:01.000 --> 00:02.000\na\n\n"
+    + "2\n00:05.000 --> 00:08.000\nb <00:07.000>c\n\n3\n00:13.000 --> 00:14.500\nd\n");
+
+  it("reads X-TIMESTAMP-MAP and applies it on request", () => {
+    const vtt = "WEBVTT\nX-TIMESTAMP-MAP=LOCAL:00:00:01.000,MPEGTS:900000\n\n00:01.000 --> 00:02.000\na <00:01.500>b\n";
+    const res = new WebVTTParser().parse(vtt);
+    assert.deepEqual(res.timestampMap, {mpegts: 900000, local: 1});
+    assert.deepEqual(res.errors, []);
+    assert.equal(res.cues[0].startTime, 1);
+    const mapped = new WebVTTParser(null, {applyTimestampMap: true}).parse(vtt).cues[0];
+    assert.deepEqual([mapped.startTime, mapped.endTime, mapped.tree.children[1].value], [10, 11, 10.5]);
+    const invalid = new WebVTTParser().parse("WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:9e5,LOCAL:00:00:00.000\n\n");
+    assert.deepEqual(invalid.errors.map(e => [e.code, e.line]), [["timestamp-map-invalid", 2]]);
+    assert.isNull(invalid.timestampMap);
+  });
+
+  it("splits a track into segments, repeating cues that cross them", () => {
+    const segments = new WebVTTSegmenter({mpegts: 900000}).segment(track);
+    assert.deepEqual(segments.map(s => [s.uri, s.start, s.end, s.cues.map(c => c.id)]), [
+      ["segment0.vtt", 0, 6, ["1", "2"]], ["segment1.vtt", 6, 12, ["2"]], ["segment2.vtt", 12, 14.5, ["3"]]
+    ]);
+    assert.equal(segments[1].text, "WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:900000,LOCAL:00:00:00.000\n\n2\n00:05.000 --> 00:08.000\nb <00:07.000>c\n\n");
+    const empty = new WebVTTSegmenter({targetDuration: 10, uri: i => "sub-" + i + ".webvtt"}).segment(track.cues, 30);
+    assert.deepEqual(empty.map(s => [s.uri, s.cues.length]), [["sub-0.webvtt", 2], ["sub-1.webvtt", 1], ["sub-2.webvtt", 0]]);
+    assert.equal(empty[2].text, "WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:0,LOCAL:00:00:00.000\n\n");
+    assert.throws(() => new WebVTTSegmenter({targetDuration: -1}), RangeError);
+  });
+
+  it("writes the media playlist", () => {
+    const segmenter = new WebVTTSegmenter();
+    assert.equal(segmenter.playlist(segmenter.segment(track)), "#EXTM3U\n#EXT-X-VERSION:3\n#EXT-X-TARGETDURATION:6\n"
+      + "#EXT-X-MEDIA-SEQUENCE:0\n#EXT-X-PLAYLIST-TYPE:VOD\n"
+      + "#EXTINF:6.000,\nsegment0.vtt\n#EXTINF:6.000,\nsegment1.vtt\n#EXTINF:2.500,\nsegment2.vtt\n#EXT-X-ENDLIST\n");
+  });
+
+  it("reassembles segments into one track", () => {
+    const segmenter = new WebVTTSegmenter({mpegts: 900000});
+    const res = segmenter.reassemble(segmenter.segment(track).map(s => Buffer.from(s.text)));
+    assert.deepEqual(res.errors, []);
+    assert.equal(res.header, "");
+    assert.deepEqual(res.cues.map(c => [c.id, c.startTime, c.endTime]), [["1", 1, 2], ["2", 5, 8], ["3", 13, 14.5]]);
+    assert.equal(res.cues[1].tree.children[1].value, 7);
+    // Segments from elsewhere, with their own maps onto the same MPEG-TS timeline
+    const other = segmenter.reassemble(["WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:1080000,LOCAL:00:00:00.000\n\n00:00.000 --> 00:01.000\nx\n"]);
+    assert.deepEqual([other.cues[0].startTime, other.cues[0].endTime], [2, 3]);
+  });
+});
@@ -0,0 +1,70 @@
+const assert = require("chai").assert;
+const { WebVTTParser } = require("../parser.js");
+const { WebVTTLayout } = require("../layout.js");
+
+describe("Tests the cue layout", () => {
+  const parser = new WebVTTParser();
+  // 640x360 with a line height of 20 and 10 pixels per character
+  const layout = new WebVTTLayout({width: 640, height: 360, lineHeight: 20, measureText: text => text.length * 10});
+  const cues = vtt => parser.parse("WEBVTT\n\n" + vtt).cues;
+  const boxes = result => result.cues.map(c => c.lines.map(l => [l.text, l.x, l.y, l.width, l.height]));
+
+  it("puts cues with an automatic line at the bottom, centered", () => {
+    const result = layout.layout(cues("00:00.000 --> 00:02.000\nHello\nworld!\n"));
+    assert.deepEqual(boxes(result), [[["Hello", 295, 320, 50, 20], ["world!", 290, 340, 60, 20]]]);
+    assert.deepEqual(result.cues[0].box, {x: 0, y: 320, width: 640, height: 40});
+    assert.isFalse(result.cues[0].outOfBounds);
+  });
+
+  it("wraps lines at spaces to fit the size", () => {
+    const result = layout.layout(cues("00:00.000 --> 00:02.000 size:10% align:left position:0%\nsome words here\n"));
+    assert.deepEqual(boxes(result), [[["some", 0, 300, 40, 20], ["words", 0, 320, 50, 20], ["here", 0, 340, 40, 20]]]);
+  });
+
+  it("only lays out the cues active at a time", () => {
+    const list = cues("00:00.000 --> 00:02.000\na\n\n00:02.000 --> 00:04.000\nb\n");
+    assert.deepEqual(layout.layout(list, 2).cues.map(c => c.cue.text), ["b"]);
+    assert.equal(layout.layout(list).cues.length, 2);
+  });
+
+  it("moves cues out of each other's way", () => {
+    const result = layout.layout(cues("00:00.000 --> 00:02.000\nfirst\n\n00:00.500 --> 00:02.000\nsecond\n\n00:00.000 --> 00:02.000 line:0\ntop\n\n00:00.000 --> 00:02.000 line:0\nunder\n"));
+    assert.deepEqual(result.cues.map(c => [c.cue.text, c.lines[0].y]), [["first", 340], ["top", 0], ["under", 20], ["second", 320]]);
+    assert.isTrue(result.cues.every(c => c.overlaps.length == 0));
+  });
+
+  it("follows the line, position and alignment settings", () => {
+    const result = layout.layout(cues("00:00.000 --> 00:02.000 line:50%,center position:10%,line-left size:50% align:right\nabc\n\n00:00.000 --> 00:02.000 line:2 align:start\nabc\n\n00:00.000 --> 00:02.000 align:end\nשלום\n"));
+    assert.deepEqual(boxes(result), [[["abc", 354, 170, 30, 20]], [["abc", 320, 40, 30, 20]], [["שלום", 320, 340, 40, 20]]]);
+  });
+
+  it("lays out vertical text", () => {
+    const result = layout.layout(cues("00:00.000 --> 00:02.000 vertical:rl\nab\n\n00:00.000 --> 00:02.000 vertical:lr line:1\nab\n\n00:00.000 --> 00:02.000 vertical:rl line:0 position:0% align:start\nab\n"));
+    assert.deepEqual(boxes(result), [[["ab", 0, 170, 20, 20]], [["ab", 20, 170, 20, 20]], [["ab", 620, 0, 20, 20]]]);
+  });
+
+  it("moves overlapping cues with a percentage line to the closest free place", () => {
+    const result = layout.layout(cues("00:00.000 --> 00:02.000 line:50%\nabc\n\n00:00.000 --> 00:02.000 line:55%\nabc\n"));
+    assert.deepEqual(boxes(result), [[["abc", 305, 180, 30, 20]], [["abc", 305, 200, 30, 20]]]);
+  });
+
+  it("stacks the cues of a region from its bottom", () => {
+    const result = layout.layout(parser.parse("WEBVTT\n\nREGION\nid:r\nwidth:50%\nlines:2\nregionanchor:0%,100%\nviewportanchor:10%,90%\n\n"
+      + "00:00.000 --> 00:02.000 region:r\none\n\n00:00.000 --> 00:02.000 region:r\ntwo\nthree\n\n00:00.000 --> 00:02.000\nbelow\n").cues);
+    assert.equal(result.regions.length, 1);
+    assert.equal(result.regions[0].region.id, "r");
+    assert.deepEqual(result.regions[0].box, {x: 64, y: 284, width: 320, height: 40});
+    assert.deepEqual(result.cues.map(c => c.lines.map(l => l.visible)), [[false], [true, true], [undefined]]);
+    assert.equal(result.cues[1].lines[1].y + 20, 324);
+    assert.equal(result.cues[2].lines[0].y, 340);
+  });
+
+  it("reports cues that leave the video or overlap", () => {
+    // Room for two lines
+    const small = new WebVTTLayout({width: 100, height: 40, lineHeight: 20, measureText: text => text.length * 10});
+    const result = small.layout(cues("00:00.000 --> 00:02.000\na\n\n00:00.000 --> 00:02.000\nb\n\n00:00.000 --> 00:02.000\nc\n\n"
+      + "00:00.000 --> 00:02.000 line:0\nmuchtoolong\n"));
+    assert.deepEqual(result.cues.map(c => c.outOfBounds), [false, false, false, true]);
+    assert.deepEqual(result.cues.map(c => c.overlaps.map(o => o.text)), [["c"], ["muchtoolong"], ["a"], ["b"]]);
+  });
+});
@@ -0,0 +1,68 @@
+const assert = require("chai").assert;
+const { WebVTTParser, WebVTTSerializer } = require("../parser.js");
+const { WebVTTMP4Encoder, WebVTTMP4Decoder } = require("../mp4.js");
+const entities = require("../html-entities.json");
+
+// [type, children or text] for the boxes of a sample
+function boxes(bytes) {
+  const result = [];
+  for (let pos = 0; pos < bytes.length;) {
+    const size = Buffer.from(bytes.subarray(pos, pos + 4)).readUInt32BE(0);
+    const type = Buffer.from(bytes.subarray(pos + 4, pos + 8)).toString();
+    const content = bytes.subarray(pos + 8, pos + size);
+    result.push([type, type == "vttc" ? boxes(content) : type == "vsid" ? Buffer.from(content).readUInt32BE(0) : Buffer.from(content).toString()]);
+    pos += size;
+  }
+  return result;
+}
+
+describe("Tests WebVTT in MP4", () => {
+  const vtt = "WEBVTT\n\nREGION\nid:r\nwidth:50%\n\nSTYLE\n::cue { color: red }\n\nNOTE first\n\n"
+    + "c1\n00:01.000 --> 00:04.000 region:r align:start\n<b>a</b> <00:03.000>b\n\n"
+    + "00:02.000 --> 00:03.000 line:0\nsecond &amp; x\n";
+  const track = new WebVTTParser(entities).parse(vtt);
+
+  it("cuts cues into samples where no cue starts or ends", () => {
+    const samples = new WebVTTMP4Encoder().samples(track);
+    assert.deepEqual(samples.map(s => [s.start, s.end, s.cues.map(c => c.id), s.comments]), [
+      [0, 1, [], []], [1, 2, ["c1"], ["first"]], [2, 3, ["c1", ""], []], [3, 4, ["c1"], []]
+    ]);
+  });
+
+  it("encodes samples as vttc, vtte and vtta boxes", () => {
+    const encoder = new WebVTTMP4Encoder({settingsOrder: ["align"]});
+    const samples = encoder.samples(track);
+    assert.deepEqual(boxes(encoder.encodeSample(samples[0])), [["vtte", ""]]);
+    assert.deepEqual(boxes(encoder.encodeSample(samples[1])), [
+      ["vttc", [["vsid", 1], ["iden", "c1"], ["sttg", "align:start region:r"], ["payl", "<b>a</b> <00:03.000>b"]]],
+      ["vtta", "first"]
+    ]);
+    assert.deepEqual(boxes(encoder.encodeSample(samples[2])), [
+      ["vttc", [["vsid", 1], ["ctim", "00:02.000"], ["iden", "c1"], ["sttg", "align:start region:r"], ["payl", "<b>a</b> <00:03.000>b"]]],
+      ["vttc", [["sttg", "line:0"], ["payl", "second &amp; x"]]]
+    ]);
+  });
+
+  it("decodes fragments back into the same cues", () => {
+    const encoder = new WebVTTMP4Encoder({timescale: 90000});
+    const samples = encoder.samples(track);
+    const mp4 = Buffer.concat([encoder.encodeInitSegment(track), encoder.encodeFragment(samples.slice(0, 2), 1), encoder.encodeFragment(samples.slice(2), 2)]);
+    const res = new WebVTTMP4Decoder(entities).decode(mp4);
+    assert.deepEqual(res.errors, []);
+    assert.equal(new WebVTTSerializer().serialize(res), new WebVTTSerializer().serialize(track));
+    assert.equal(res.cues[0].region.width, 50);
+    const fragment = new WebVTTMP4Encoder().encodeFragment(samples.slice(1, 2));
+    assert.deepEqual(new WebVTTMP4Decoder(entities).decode(fragment.buffer).cues.map(c => [c.id, c.startTime, c.endTime]), [["c1", 1, 2]]);
+  });
+
+  it("reports problems in packaged content", () => {
+    const encoder = new WebVTTMP4Encoder();
+    const cues = new WebVTTParser().parse("WEBVTT\n\n00:00.000 --> 00:01.000\nhi\n").cues;
+    cues[0].alignment = "middle";
+    const res = new WebVTTMP4Decoder().decode(encoder.encodeFragment(encoder.samples(cues)));
+    assert.equal(res.vtt, "WEBVTT\n\n00:00.000 --> 00:01.000 align:middle\nhi\n\n");
+    assert.deepEqual(res.errors.map(e => [e.code, e.line]), [["setting-align-invalid", 3]]);
+    const fragment = encoder.encodeFragment(encoder.samples(cues));
+    assert.throws(() => new WebVTTMP4Decoder().decode(fragment.subarray(0, fragment.length - 4)), RangeError);
+  });
+});
@@ -2,6 +2,8 @@ const fs = require("fs");
 const { assert } = require('chai');
 const WebVTTParser = require("../parser.js").WebVTTParser;
 const WebVTTSerializer = require("../parser.js").WebVTTSerializer;
+const { SRTParser, SRTSerializer, WebVTTDiagnostics, WebVTTRepairer, WebVTTCueRenderer, WebVTTRetimer, WebVTTLinter, WebVTTLintPresets, WebVTTCueIndex } = require("../parser.js");
+const { WebVTTStreamParser, createWebVTTNodeTransform, createWebVTTTransformStream, WebVTTDocument, WebVTTRubyPairs } = require("../parser.js");
 const entities = require("../html-entities.json");
 
 // Adapting test_harness.js into chai asserts
@@ -17,6 +19,10 @@ function assert_false (a, b) {
   return assert.isFalse(a, b);
 }
 
+function assert_not_equals (a, b, c) {
+  return assert.notEqual(a, b, c);
+}
+
 let parser ,seri;
 describe("Tests the file parser", () => {
   before(() => {
@@ -26,8 +32,6 @@ describe("Tests the file parser", () => {
   const dir = 'test/wpt-file-parsing/';
   const files = fs.readdirSync(dir);
   for(let path of files.filter(p => p.match(/\.vtt$/)))  {
-    // No Support for region syntax yet
-    if (path.match(/region/)) continue;
     const vtt = fs.readFileSync(dir + path, 'utf-8');
     it("matches the expected assertions for " + path, () => {
       const js = fs.readFileSync(dir + path.replace(/\.vtt$/, '.js'), 'utf-8');
@@ -45,14 +49,743 @@ describe("Tests the file parser", () => {
       eval(js);
     });
     it("can parse the serialized version of the parsed tree from " + path, () => {
-      const cues = parser.parse(vtt).cues.filter(c => !c.nonSerializable);
-      const revtt = seri.serialize(cues);
+      const res = parser.parse(vtt);
+      const revtt = seri.serialize(res);
       const {cues: recues, errors} = parser.parse(revtt);
-      assert.deepEqual(recues, cues);
+      assert.deepEqual(recues, res.cues);
+    });
+  }
+});
+
+describe("Tests the serializer", () => {
+  before(() => {
+    parser = new WebVTTParser();
+    seri = new WebVTTSerializer();
+  });
+  it("keeps the header text, regions and comments in place", () => {
+    const vtt = "WEBVTT - Some title\nKind: captions\n\n"
+      + "REGION\nid:fred\nwidth:40%\nlines:3\nregionanchor:0%,100%\nviewportanchor:10%,90%\nscroll:up\n\n"
+      + "NOTE about the first cue\n\n"
+      + "00:00.000 --> 00:01.000 region:fred\nfirst\n\n"
+      + "NOTE\na multi-line\ncomment\n\n"
+      + "00:01.000 --> 00:02.000\nsecond\n\n"
+      + "NOTE the end\n\n";
+    const res = parser.parse(vtt);
+    assert.equal(res.header, "- Some title\nKind: captions");
+    assert.equal(res.comments.length, 3);
+    assert.equal(res.comments[0].cue, res.cues[0]);
+    assert.equal(res.comments[1].text, "\na multi-line\ncomment");
+    assert.equal(res.comments[2].cue, null);
+    assert.equal(seri.serialize(res), vtt.replace("\nlines:3\nregionanchor:0%,100%", ""));
+  });
+  it("keeps comments before style and region blocks in place", () => {
+    const vtt = "WEBVTT\n\nNOTE about regions\n\nREGION\nid:a\n\nNOTE about styles\n\nSTYLE\n::cue { color: red }\n\n"
+      + "00:00.000 --> 00:01.000\nfirst\n\n";
+    const res = parser.parse(vtt);
+    assert.equal(res.comments[0].region, res.regions[0]);
+    assert.equal(res.comments[1].style, res.styles[0]);
+    assert.equal(seri.serialize(res), vtt);
+  });
+  it("keeps comments with their cue when cues are edited", () => {
+    const res = parser.parse("WEBVTT\n\n00:00.000 --> 00:01.000\nfirst\n\nNOTE second\n\n00:01.000 --> 00:02.000\nsecond\n\n");
+    res.cues.reverse();
+    assert.equal(seri.serialize(res), "WEBVTT\n\nNOTE second\n\n00:01.000 --> 00:02.000\nsecond\n\n00:00.000 --> 00:01.000\nfirst\n\n");
+  });
+  it("takes options for hours, line endings, ids and the settings order", () => {
+    const res = parser.parse("WEBVTT\n\nid\n00:01.000 --> 00:02.000 align:start line:1 position:20%\n<00:01.500>a\n\n");
+    const options = {alwaysHours: true, lineEnding: "\r\n", writeIds: false, settingsOrder: ["position", "line"]};
+    assert.equal(new WebVTTSerializer(options).serialize(res),
+      "WEBVTT\r\n\r\n00:00:01.000 --> 00:00:02.000 position:20% line:1 align:start\r\n<00:00:01.500>a\r\n\r\n");
+    assert.throws(() => new WebVTTSerializer({lineEnding: "\n\n"}), RangeError);
+    assert.throws(() => new WebVTTSerializer({settingsOrder: ["color"]}), RangeError, "Unknown cue setting color.");
+  });
+  it("writes large region lines in digits and rejects infinite ones", () => {
+    const res = parser.parse("WEBVTT\n\nREGION\nid:a\nlines:" + "9".repeat(400) + "\n\nREGION\nid:b\nlines:" + "1" + "0".repeat(21) + "\n\n");
+    assert.deepEqual(res.errors.map(e => e.code), ["region-lines-invalid"]);
+    assert.equal(res.regions[0].lines, 3);
+    assert.equal(seri.serialize(res), "WEBVTT\n\nREGION\nid:a\n\nREGION\nid:b\nlines:1" + "0".repeat(21) + "\n\n");
+  });
+  it("rounds times to the millisecond and writes numbers without exponents", () => {
+    const res = parser.parse("WEBVTT\n\n00:00.000 --> 00:01.000 line:-0 size:0.0000001%\na\n\n");
+    res.cues[0].startTime = 0.9996;
+    res.cues[0].endTime = 59.9999;
+    assert.equal(seri.serialize(res), "WEBVTT\n\n00:01.000 --> 01:00.000 size:0.0000001% line:-0\na\n\n");
+    res.cues[0].linePosition = 1e+34;
+    assert.match(seri.serialize(res), / line:10{34}\n/);
+  });
+  it("refuses in strict mode to write what would not parse back the same", () => {
+    const strict = new WebVTTSerializer({strict: true});
+    const cue = () => new WebVTTParser(entities).parse("WEBVTT\n\nid\n00:00.000 --> 00:01.000\na --&gt; b\n\n").cues[0];
+    assert.equal(strict.serialize([cue()]), "WEBVTT\n\nid\n00:00.000 --> 00:01.000\na --&gt; b\n\n");
+    const files = fs.readdirSync('test/wpt-file-parsing/').filter(p => p.match(/\.vtt$/));
+    for(let path of files.filter(p => p != "signature-timings.vtt")) {
+      strict.serialize(parser.parse(fs.readFileSync('test/wpt-file-parsing/' + path, 'utf-8')));
+    }
+    const timingsInHeader = parser.parse(fs.readFileSync('test/wpt-file-parsing/signature-timings.vtt', 'utf-8'));
+    assert.throws(() => strict.serialize(timingsInHeader), "Header cannot contain \"-->\" or a blank line.");
+    assert.throws(() => strict.serialize([Object.assign(cue(), {id: "a --> b"})]), "Cue a --> b has \"-->\" or a line break in its identifier.");
+    assert.throws(() => strict.serialize([Object.assign(cue(), {id: "a\nb"})]), /line break/);
+    assert.equal(new WebVTTSerializer({strict: true, writeIds: false}).serialize([Object.assign(cue(), {id: "a\nb"})]), "WEBVTT\n\n00:00.000 --> 00:01.000\na --&gt; b\n\n");
+    const blank = cue();
+    blank.tree.children[0].value = "a\n\nb";
+    assert.throws(() => strict.serialize([blank]), "Cue id has a blank line or \"-->\" in its text.");
+    assert.throws(() => strict.serialize([Object.assign(cue(), {startTime: NaN})]), /finite number/);
+    assert.throws(() => strict.serialize([Object.assign(cue(), {alignment: "middle"})]), "Cue id would not parse back the same (alignment).");
+    assert.throws(() => strict.serialize({cues: [], comments: [{text: "a --> b"}]}), "Comment cannot contain \"-->\" or a blank line.");
+  });
+});
+
+describe("Tests the stream parser", () => {
+  const collect = parser => {
+    const res = {cues: [], errors: [], styles: []};
+    parser.oncue = cue => res.cues.push(cue);
+    parser.onerror = error => res.errors.push(error);
+    parser.onstyle = style => res.styles.push(style);
+    return res;
+  };
+  const dir = 'test/wpt-file-parsing/';
+  for(let path of fs.readdirSync(dir).filter(p => p.match(/\.vtt$/)))  {
+    it("gives the same result as parse() when feeding " + path + " in small chunks", () => {
+      const vtt = fs.readFileSync(dir + path, 'utf-8');
+      const expected = new WebVTTParser().parse(vtt);
+      const streamParser = new WebVTTStreamParser();
+      const res = collect(streamParser);
+      for (let i = 0; i < vtt.length; i += 3) {
+        streamParser.feed(vtt.slice(i, i + 3));
+      }
+      streamParser.flush();
+      assert.deepEqual(res.errors, expected.errors);
+      assert.deepEqual(res.styles, expected.styles);
+      assert.sameDeepMembers(res.cues, expected.cues);
+    });
+  }
+  it("emits a cue as soon as its block is complete", () => {
+    const streamParser = new WebVTTStreamParser();
+    const res = collect(streamParser);
+    streamParser.feed("WEBVTT\n\n00:00.000 --> 00:01.000\nfoo\n");
+    assert.equal(res.cues.length, 0);
+    streamParser.feed("\n00:01.000");
+    assert.equal(res.cues.length, 1);
+    assert.equal(res.cues[0].text, "foo");
+  });
+  it("handles a CRLF pair split across chunks", () => {
+    const streamParser = new WebVTTStreamParser();
+    const res = collect(streamParser);
+    streamParser.feed("WEBVTT\r").feed("\n\r").feed("\n00:00.000 --> 00:01.000\r").feed("\nfoo\r").feed("\nbar").flush();
+    assert.deepEqual(res.errors, []);
+    assert.equal(res.cues[0].text, "foo\nbar");
+  });
+  it("works as a Node.js Transform stream", done => {
+    const output = [];
+    const transform = createWebVTTNodeTransform();
+    transform.on("data", item => output.push(item));
+    transform.on("end", () => {
+      assert.deepEqual(output.map(item => item.type), ["header", "cue", "error"]);
+      assert.equal(output[1].value.text, "h\u00e9");
+      done();
+    });
+    const bytes = Buffer.from("WEBVTT\n\n00:00.000 --> 00:01.000\nh\u00e9\n\nfoo\n");
+    // split in the middle of a multi-byte character
+    transform.write(bytes.slice(0, 34));
+    transform.end(bytes.slice(34));
+  });
+  if (typeof TransformStream !== 'undefined') {
+    it("works as a WHATWG TransformStream", async () => {
+      const output = [];
+      const stream = createWebVTTTransformStream();
+      const writer = stream.writable.getWriter();
+      writer.write(new TextEncoder().encode("WEBVTT\n\n00:00.000 --> 00:01.000\nfoo"));
+      writer.close();
+      const reader = stream.readable.getReader();
+      for (let item = await reader.read(); !item.done; item = await reader.read()) {
+        output.push(item.value);
+      }
+      assert.deepEqual(output.map(item => item.type), ["header", "cue"]);
     });
   }
 });
 
+describe("Tests the diagnostics", () => {
+  it("gives every diagnostic a code, severity and range", () => {
+    const {errors} = new WebVTTParser().parse("WEBVTT\n\n00:01.000 --> 00:02.000 align:middle align:start\nfoo\n");
+    assert.deepEqual(errors, [
+      {code: "setting-align-invalid", severity: "error", message: "Alignment can only be set to one of start, center, end, left, right.",
+       line: 3, col: 25, endLine: 3, endCol: 37},
+      {code: "setting-duplicate", severity: "error", message: "Duplicate setting.", line: 3, col: 38, endLine: 3, endCol: 49}
+    ]);
+  });
+  it("covers the whole line for problems with a line", () => {
+    const {errors} = new WebVTTParser().parse("WEBVTT\n\nfoo\n");
+    assert.deepEqual(errors.map(e => [e.code, e.line, e.col, e.endCol]), [["cue-identifier-standalone", 3, 1, 4]]);
+  });
+  it("points at the offending part of a timestamp", () => {
+    const {errors} = new WebVTTParser().parse("WEBVTT\n\n00:01.000 --> 00:02.0\nfoo\n");
+    assert.deepEqual(errors.map(e => [e.code, e.line, e.col, e.endCol]), [["timestamp-milliseconds-digits", 3, 15, 22]]);
+  });
+  it("maps cue text problems back to their line and column", () => {
+    const vtt = "WEBVTT\r\n\r\n00:00.000 --> 00:05.000\r\nfoo <b>bar\r\nba</i>z &am <00:01.00> <00:06.000>\r\n";
+    const {errors} = new WebVTTParser().parse(vtt);
+    assert.deepEqual(errors.map(e => [e.code, e.line, e.col, e.endLine, e.endCol]), [
+      ["cue-text-end-tag-invalid", 5, 3, 5, 7],
+      ["cue-text-escape-invalid", 5, 9, 5, 12],
+      ["timestamp-milliseconds-digits", 5, 14, 5, 22],
+      ["cue-text-timestamp-range", 5, 24, 5, 35],
+      ["cue-text-end-tag-missing", 5, 35, 5, 36]
+    ]);
+  });
+  it("documents every code", () => {
+    const doc = fs.readFileSync("diagnostics.md", "utf-8");
+    for (const code in WebVTTDiagnostics) {
+      assert.include(doc, "| `" + code + "` | " + WebVTTDiagnostics[code].severity + " |");
+    }
+  });
+  it("changes or turns off severities", () => {
+    const vtt = "WEBVTT\n\n00:02.000 --> 00:03.000 size:10% size:20%\nfoo\n\n00:01.000 --> 00:02.000\nbar\n";
+    const {errors} = new WebVTTParser(undefined, {severities: {"setting-duplicate": "warning", "cue-start-order": "off"}}).parse(vtt);
+    assert.deepEqual(errors.map(e => [e.code, e.severity]), [["setting-duplicate", "warning"]]);
+    const srtErrors = new SRTParser({severities: {"srt-number-sequence": "info"}}).parse("2\n00:00:01,000 --> 00:00:02,000\nfoo\n").errors;
+    assert.deepEqual(srtErrors.map(e => [e.code, e.severity]), [["srt-number-sequence", "info"]]);
+  });
+});
+
+describe("Tests character references", () => {
+  const decode = (text, ents) => {
+    const {cues, errors} = new WebVTTParser(ents).parse("WEBVTT\n\n00:00.000 --> 00:01.000\n" + text + "\n");
+    return [cues[0].tree.children.map(node => node.value).join(""), errors.map(e => [e.code, e.col, e.endCol])];
+  };
+  it("takes the longest name that matches", () => {
+    assert.deepEqual(decode("&notin; &notit; &not", entities), ["\u2209 \u00ACit; \u00AC", [
+      ["cue-text-reference-semicolon-missing", 9, 13],
+      ["cue-text-reference-semicolon-missing", 17, 21]
+    ]]);
+    assert.deepEqual(decode("&amp;&lt;b&gt; &lrm;&nbsp"), ["&<b> \u200E\u00A0", [["cue-text-reference-semicolon-missing", 21, 26]]]);
+  });
+  it("keeps what is not a reference as text", () => {
+    assert.deepEqual(decode("&foo; &foo & &#; &#xg", entities), ["&foo; &foo & &#; &#xg", [
+      ["cue-text-reference-unknown", 1, 6],
+      ["cue-text-escape-invalid", 7, 11],
+      ["cue-text-escape-invalid", 12, 13],
+      ["cue-text-reference-digits-missing", 14, 16],
+      ["cue-text-reference-digits-missing", 18, 21]
+    ]]);
+  });
+  it("decodes numeric references to any code point", () => {
+    assert.deepEqual(decode("&#x1F600;&#128512;&#Xe9;&#xE9;&#233"), ["\uD83D\uDE00\uD83D\uDE00\u00E9\u00E9\u00E9", [
+      ["cue-text-reference-semicolon-missing", 31, 36]
+    ]]);
+  });
+  it("replaces numeric references HTML does not allow", () => {
+    assert.deepEqual(decode("&#0;&#x110000;&#99999999999999;&#xD800;&#xFFFF;&#x80;&#x81;&#1;&#13;&#9;"),
+      ["\uFFFD\uFFFD\uFFFD\uFFFD\uFFFF\u20AC\u0081\u0001\r\t", [
+        ["cue-text-reference-null", 1, 5],
+        ["cue-text-reference-out-of-range", 5, 15],
+        ["cue-text-reference-out-of-range", 15, 32],
+        ["cue-text-reference-surrogate", 32, 40],
+        ["cue-text-reference-noncharacter", 40, 48],
+        ["cue-text-reference-control", 48, 54],
+        ["cue-text-reference-control", 54, 60],
+        ["cue-text-reference-control", 60, 64],
+        ["cue-text-reference-control", 64, 69]
+      ]]);
+  });
+});
+
+describe("Tests ruby", () => {
+  const parse = text => new WebVTTParser().parse("WEBVTT\n\n00:00.000 --> 00:01.000\n" + text + "\n").cues[0];
+  const codes = text => new WebVTTParser().parse("WEBVTT\n\n00:00.000 --> 00:01.000\n" + text + "\n").errors.map(e => [e.code, e.col, e.endCol]);
+  it("checks the content model", () => {
+    assert.deepEqual(codes("<ruby>a<rt>b</rt> c <rt>d</rt></ruby>"), []);
+    assert.deepEqual(codes("<ruby><rt>b</rt></ruby>"), [["cue-text-ruby-base-missing", 7, 11]]);
+    assert.deepEqual(codes("<ruby>a<rt>b</rt><rt>c</rt></ruby>"), [["cue-text-ruby-base-missing", 18, 22]]);
+    assert.deepEqual(codes("<ruby>a<rt> </rt></ruby>"), [["cue-text-ruby-text-empty", 8, 18]]);
+    assert.deepEqual(codes("<ruby>a</ruby>"), [["cue-text-ruby-text-missing", 1, 15]]);
+    assert.deepEqual(codes("<ruby>a<rt>b</rt>c <i>d</i></ruby>"), [["cue-text-ruby-base-unannotated", 18, 28]]);
+    assert.deepEqual(codes("<i><rt>b</rt></i>"), [["cue-text-ruby-text-outside", 4, 8], ["cue-text-end-tag-invalid", 9, 14]]);
+    assert.deepEqual(codes("<ruby>a<ruby>b<rt>c</rt></ruby><rt>d</rt></ruby>"), [["cue-text-ruby-nested", 8, 14]]);
+  });
+  it("gives ruby nodes base/annotation pairs", () => {
+    const ruby = parse("<ruby>a<00:00.500>b<rt>B</rt>c<rt>C</ruby>").tree.children[0];
+    assert.deepEqual(ruby.pairs.map(pair => [pair.base.length, pair.text.children[0].value]), [[3, "B"], [1, "C"]]);
+    assert.strictEqual(ruby.pairs[1].text, ruby.children[5]);
+    assert.notProperty(JSON.parse(JSON.stringify(ruby)), "pairs");
+    ruby.children.splice(4);
+    assert.deepEqual(ruby.pairs.map(pair => [pair.base.length, pair.text.children[0].value]), [[3, "B"]]);
+    assert.deepEqual(WebVTTRubyPairs({children: [{type: "text", value: "x"}]}), [{base: [{type: "text", value: "x"}], text: null}]);
+  });
+  it("writes the pairs to SubRip", () => {
+    assert.equal(new SRTSerializer().serialize([parse("<ruby>a<rt>A</rt>b<rt></rt>c</ruby>")]), "1\n00:00:00,000 --> 00:00:01,000\na(A)bc\n\n");
+  });
+});
+
+describe("Tests the repairer", () => {
+  it("fixes what can be fixed mechanically and lists the changes", () => {
+    const vtt = "WEBVTT\n00:05.000-->00:06.000 align:start\na & b < c <i>x\n00:01,5 --> 0:2.000\n<b>y <00:01.80>z\n";
+    const {vtt: repaired, changes, errors} = new WebVTTRepairer().repair(vtt);
+    assert.equal(repaired, "WEBVTT\n\n00:01.500 --> 00:02.000\n<b>y <00:01.800>z</b>\n\n"
+      + "00:05.000 --> 00:06.000 align:start\na &amp; b &lt; c <i>x</i>\n");
+    assert.deepEqual(errors, []);
+    assert.sameDeepMembers(changes, [
+      {code: "header-blank-line-missing", line: 2, description: "Inserted a blank line."},
+      {code: "cue-blank-line-missing", line: 4, description: "Inserted a blank line."},
+      {code: "timestamp-arrow-whitespace-before", line: 2, description: 'Rewrote the cue timings as "00:05.000 --> 00:06.000".'},
+      {code: "timestamp-decimal-separator-missing", line: 4, description: 'Rewrote the cue timings as "00:01.500 --> 00:02.000".'},
+      {code: "cue-text-escape-invalid", line: 3, description: 'Escaped "&".'},
+      {code: "cue-text-annotation-not-allowed", line: 3, description: 'Escaped "<".'},
+      {code: "cue-text-end-tag-missing", line: 3, description: 'Added the end tags "</i>".'},
+      {code: "timestamp-milliseconds-digits", line: 5, description: 'Rewrote the timestamp as "00:01.800".'},
+      {code: "cue-text-end-tag-missing", line: 5, description: 'Added the end tags "</b>".'},
+      {code: "cue-start-order", line: 4, description: "Sorted the cues by start time."}
+    ]);
+  });
+  it("keeps line endings and comments with their cue", () => {
+    const vtt = "WEBVTT\r\n\r\nNOTE second\r\n\r\n00:02.000 --> 00:03.000\r\nb\r\n\r\n00:01.000 --> 00:02.000\r\na\r\n";
+    assert.equal(new WebVTTRepairer().repair(vtt).vtt,
+      "WEBVTT\r\n\r\n00:01.000 --> 00:02.000\r\na\r\n\r\nNOTE second\r\n\r\n00:02.000 --> 00:03.000\r\nb\r\n");
+  });
+  it("leaves alone what it cannot fix", () => {
+    const vtt = "WEBVTT\n\n00:01.000 --> 00:02.000\n<foo>x</foo>\n";
+    const {vtt: repaired, changes, errors} = new WebVTTRepairer().repair(vtt);
+    assert.equal(repaired, vtt);
+    assert.deepEqual(changes, []);
+    assert.deepEqual(errors.map(e => e.code), ["cue-text-start-tag-invalid", "cue-text-end-tag-invalid"]);
+  });
+  it("does not carry minutes or seconds over 59", () => {
+    const vtt = "WEBVTT\n\n00:75.000 --> 1:80.000\nx\n";
+    const {vtt: repaired, changes, errors} = new WebVTTRepairer().repair(vtt);
+    assert.equal(repaired, vtt);
+    assert.deepEqual(changes, []);
+    assert.includeMembers(errors.map(e => e.code), ["timestamp-seconds-overflow"]);
+  });
+});
+
+describe("Tests the cue renderer", () => {
+  const vtt = 'WEBVTT\n\n00:00.000 --> 00:05.000\n<v.loud Bob "B">Hi &amp; <lang en>x</lang> <00:01.000><b.a.b>y<00:03.000>z</b> <ruby>k<rt>K</rt></ruby>\n';
+  const cue = new WebVTTParser(entities).parse(vtt).cues[0];
+  it("follows the DOM construction rules", () => {
+    assert.equal(new WebVTTCueRenderer().renderHTML(cue),
+      '<span class="loud" title="Bob &quot;B&quot;">Hi &amp; <span lang="en">x</span> <?timestamp 00:01.000>'
+      + '<b class="a b">y<?timestamp 00:03.000>z</b> <ruby>k<rt>K</rt></ruby></span>');
+  });
+  it("marks past and future nodes", () => {
+    assert.equal(new WebVTTCueRenderer().renderHTML(cue.tree, 2),
+      '<span class="loud" title="Bob &quot;B&quot;" data-past=""><span data-past="">Hi &amp; </span>'
+      + '<span lang="en" data-past=""><span data-past="">x</span></span><span data-past=""> </span><?timestamp 00:01.000>'
+      + '<b class="a b">y<?timestamp 00:03.000><span data-future="">z</span></b><span data-future=""> </span>'
+      + '<ruby data-future=""><span data-future="">k</span><rt data-future=""><span data-future="">K</span></rt></ruby></span>');
+  });
+  it("builds DOM nodes", () => {
+    const node = (type, props) => Object.assign({type, childNodes: [], attributes: {},
+      appendChild(child) { this.childNodes.push(child); }, setAttribute(name, value) { this.attributes[name] = value; }}, props);
+    const doc = {
+      createDocumentFragment: () => node("fragment"),
+      createElement: localName => node("element", {localName}),
+      createTextNode: data => node("text", {data}),
+      createProcessingInstruction: (target, data) => node("pi", {target, data})
+    };
+    const fragment = new WebVTTCueRenderer().renderDOM(cue, undefined, doc);
+    const span = fragment.childNodes[0];
+    assert.equal(span.localName, "span");
+    assert.deepEqual(span.attributes, {class: "loud", title: 'Bob "B"'});
+    assert.equal(span.childNodes[0].data, "Hi & ");
+    assert.equal(span.childNodes[3].target, "timestamp");
+    assert.equal(span.childNodes[3].data, "00:01.000");
+    assert.equal(span.childNodes[4].localName, "b");
+  });
+});
+
+describe("Tests the style parser", () => {
+  const vtt = `WEBVTT
+
+STYLE
+/* ::cue(.commented) { display: block } */
+::cue(.loud) { color: yellow; display: block }
+::cue(v[voice="Bob"]), ::cue(v[voice="Ann"]) { font-weight: bold !important }
+::cue(.quiet:past) { font-size: 10px }
+video::cue { color: red }
+::cue(div) { color: red }
+@media (min-width: 600px) { ::cue { font-size: 2em } }
+
+00:00.000 --> 00:01.000
+<v Bob><c.loud>hi</c></v>
+`;
+  it("returns the rules", () => {
+    const {styles, styleRules} = new WebVTTParser().parse(vtt);
+    assert.equal(styles.length, 1);
+    assert.deepEqual(styleRules.map(r => r.selector), [
+      "::cue(.loud)", '::cue(v[voice="Bob"]), ::cue(v[voice="Ann"])', "::cue(.quiet:past)", "::cue(div)", "::cue"
+    ]);
+    assert.deepEqual(styleRules[1], {
+      selector: '::cue(v[voice="Bob"]), ::cue(v[voice="Ann"])',
+      selectors: [
+        {text: '::cue(v[voice="Bob"])', pseudoElement: "cue", argument: 'v[voice="Bob"]'},
+        {text: '::cue(v[voice="Ann"])', pseudoElement: "cue", argument: 'v[voice="Ann"]'}
+      ],
+      declarations: [{property: "font-weight", value: "bold", important: true}],
+      line: 6, col: 1, endLine: 6, endCol: 45
+    });
+    assert.deepEqual(styleRules[4].media, "(min-width: 600px)");
+    assert.deepEqual(styleRules[4].declarations, [{property: "font-size", value: "2em", important: false}]);
+  });
+  it("checks the CSS against the cues", () => {
+    const {errors} = new WebVTTParser().parse(vtt);
+    assert.deepEqual(errors.map(e => [e.code, e.line, e.col, e.endCol]), [
+      ["style-property-not-allowed", 5, 31, 38],
+      ["style-property-not-allowed", 7, 22, 31],
+      ["style-selector-not-cue", 8, 1, 11],
+      ["style-selector-tag-unknown", 9, 7, 10],
+      ["style-voice-unused", 6, 31, 44],
+      ["style-class-unused", 7, 7, 13],
+      ["style-rule-unused", 7, 1, 19],
+      ["style-rule-unused", 9, 1, 11]
+    ]);
+  });
+  it("reports CSS syntax errors", () => {
+    const {errors} = new WebVTTParser().parse("WEBVTT\n\nSTYLE\n::cue { color\n::cue { /*\n");
+    assert.deepEqual(errors.map(e => [e.code, e.line, e.col]), [
+      ["style-comment-unclosed", 5, 9],
+      ["style-block-unclosed", 4, 7],
+      ["style-rule-unused", 4, 1]
+    ]);
+  });
+});
+
+describe("Tests the retimer", () => {
+  const parser = new WebVTTParser();
+  const seri = new WebVTTSerializer();
+  const vtt = "WEBVTT\n\n00:01.000 --> 00:02.000\na <00:01.500>b\n\n00:03.000 --> 00:04.000\nc\n\n00:10.000 --> 00:12.000\nd\n";
+  const times = cues => cues.map(cue => [cue.startTime, cue.endTime]);
+
+  it("shifts all cues or a range, with their timestamps", () => {
+    const cues = new WebVTTRetimer().shift(parser.parse(vtt).cues, 1.25);
+    assert.deepEqual(times(cues), [[2.25, 3.25], [4.25, 5.25], [11.25, 13.25]]);
+    assert.equal(seri.serialize(cues.slice(0, 1)), "WEBVTT\n\n00:02.250 --> 00:03.250\na <00:02.750>b\n\n");
+    const ranged = new WebVTTRetimer().shift(parser.parse(vtt).cues, 0.5, {start: 3, end: 10});
+    assert.deepEqual(times(ranged), [[1, 2], [3.5, 4.5], [10, 12]]);
+  });
+
+  it("keeps cues in start time order", () => {
+    const cues = new WebVTTRetimer().shift(parser.parse(vtt).cues, 10, {end: 2});
+    assert.deepEqual(cues.map(cue => cue.text), ["c", "d", "a <00:11.500>b"]);
+  });
+
+  it("scales and syncs linearly", () => {
+    assert.deepEqual(times(new WebVTTRetimer().scale(parser.parse(vtt).cues, 2, 1)), [[1, 3], [5, 7], [19, 23]]);
+    // The first cue to 2s, the last to 20s
+    assert.deepEqual(times(new WebVTTRetimer().sync(parser.parse(vtt).cues, [1, 10], [2, 20])), [[2, 4], [6, 8], [20, 24]]);
+    assert.throws(() => new WebVTTRetimer().sync([], [1, 1], [2, 3]), RangeError);
+    assert.throws(() => new WebVTTRetimer().scale([], -1), RangeError);
+  });
+
+  it("converts frame rates", () => {
+    const cues = new WebVTTRetimer().convertFrameRate(parser.parse(vtt).cues, 25, 23.976);
+    assert.deepEqual(times(cues), [[1.043, 2.085], [3.128, 4.171], [10.427, 12.513]]);
+    assert.equal(cues[0].tree.children[1].value, 1.564);
+    assert.deepEqual(times(new WebVTTRetimer().convertFrameRate(cues, 23.976, 25)), [[1, 2], [3, 4], [10, 12]]);
+  });
+
+  it("clamps negative times or rejects them", () => {
+    const cues = new WebVTTRetimer().shift(parser.parse(vtt).cues, -2.5);
+    assert.deepEqual(times(cues), [[0.5, 1.5], [7.5, 9.5]]);
+    const original = parser.parse(vtt).cues;
+    assert.throws(() => new WebVTTRetimer({invalid: "reject"}).shift(original, -1.5), RangeError, "Cue 1 would start before zero.");
+    assert.deepEqual(times(original), [[1, 2], [3, 4], [10, 12]]);
+    const partly = new WebVTTRetimer().shift(parser.parse(vtt).cues, -1.75);
+    assert.deepEqual(times(partly), [[0, 0.25], [1.25, 2.25], [8.25, 10.25]]);
+    assert.deepEqual(partly[0].tree.children, [{type: "text", value: "a b"}]);
+  });
+
+  it("drops or rejects timestamps that end up outside their cue", () => {
+    const vtt = "WEBVTT\n\n00:01.000 --> 00:03.000\na <00:01.500>b <i>c<00:02.500></i>\n";
+    const cues = new WebVTTRetimer().shift(parser.parse(vtt).cues, -2);
+    assert.equal(seri.serialize(cues), "WEBVTT\n\n00:00.000 --> 00:01.000\na b <i>c<00:00.500></i>\n\n");
+    assert.deepEqual(parser.parse(seri.serialize(cues)).errors, []);
+    assert.equal(cues[0].text, "a b <i>c<00:00.500></i>");
+    const original = parser.parse(vtt).cues;
+    assert.throws(() => new WebVTTRetimer({invalid: "reject"}).shift(original, -1.25), RangeError, "Cue 1 would start before zero.");
+    const onStart = parser.parse("WEBVTT\n\n00:01.000 --> 00:03.000\n<00:01.000>a\n").cues;
+    assert.throws(() => new WebVTTRetimer({invalid: "reject"}).shift(onStart, 1), RangeError, "Cue 1 would have a timestamp outside of it.");
+    assert.equal(original[0].tree.children[1].value, 1.5);
+  });
+});
+
+describe("Tests the linter", () => {
+  const parser = new WebVTTParser();
+  const lint = (config, vtt) => new WebVTTLinter(config).lint(parser.parse("WEBVTT\n\n" + vtt)).map(w => [w.code, w.value, w.limit]);
+
+  it("checks reading speed on the text without markup", () => {
+    const vtt = "00:00.000 --> 00:01.000\n<v Bob><b>abcdefghij</b> <ruby>k<rt>very long ruby text</rt></ruby>\n";
+    assert.deepEqual(lint({maxCharsPerSecond: 12}, vtt), []);
+    assert.deepEqual(lint({maxCharsPerSecond: 10}, vtt), [["lint-reading-speed", 12, 10]]);
+  });
+
+  it("checks lines, durations, gaps and overlaps", () => {
+    const config = {maxCharsPerLine: 5, maxLines: 1, minDuration: 1, maxDuration: 5, minGap: 0.1};
+    assert.deepEqual(lint(config, "00:00.000 --> 00:00.500\nabcdef\nab\n\n00:00.550 --> 00:06.000\nabc\n\n00:05.000 --> 00:07.000\nabc\n"), [
+      ["lint-line-length", 6, 5],
+      ["lint-line-count", 2, 1],
+      ["lint-duration-short", 0.5, 1],
+      ["lint-duration-long", 5.45, 5],
+      ["lint-gap-short", 0.05, 0.1],
+      ["lint-overlap", 1, 0]
+    ]);
+    assert.deepEqual(lint(Object.assign({allowOverlaps: true, severities: {"lint-line-length": "off"}}, config),
+      "00:00.000 --> 00:02.000\nabcdef\n\n00:01.000 --> 00:03.000\nabc\n"), []);
+  });
+
+  it("has presets", () => {
+    const warnings = new WebVTTLinter({preset: "netflix", maxLines: 3}).lint(parser.parse("WEBVTT\n\n00:00.000 --> 00:01.000\n"
+      + "This line is well over forty-two characters long\nand\nfast\n\n00:01.050 --> 00:09.000\nslow\n"));
+    assert.deepEqual(warnings.map(w => w.code), ["lint-reading-speed", "lint-line-length", "lint-duration-long", "lint-gap-short"]);
+    assert.equal(warnings[1].message, "Line 1 has 48 characters, more than 42.");
+    assert.equal(warnings[3].cue.text, "slow");
+    assert.equal(WebVTTLintPresets.bbc.maxCharsPerLine, 37);
+    assert.deepEqual(lint({preset: "netflix"}, "00:00.000 --> 00:01.000\na\n\n00:01.000 --> 00:02.000\nb\n"), []);
+    assert.equal(WebVTTDiagnostics["lint-gap-short"].severity, "warning");
+    assert.throws(() => new WebVTTLinter({preset: "nope"}), "Unknown preset nope.");
+  });
+});
+
+describe("Tests the cue index", () => {
+  const parser = new WebVTTParser();
+  const index = new WebVTTCueIndex(parser.parse("WEBVTT\n\n00:00.000 --> 00:10.000\nlong\n\n00:01.000 --> 00:02.000\na\n\n"
+    + "00:02.000 --> 00:04.000\nb <00:03.000>c\n\n00:05.000 --> 00:05.500\nd\n"));
+  const texts = cues => cues.map(cue => cue.text);
+
+  it("finds the cues active at a time or during a range", () => {
+    assert.deepEqual(texts(index.activeAt(2)), ["long", "b <00:03.000>c"]);
+    assert.deepEqual(texts(index.activeAt(10)), []);
+    assert.deepEqual(texts(index.between(1.5, 2)), ["long", "a"]);
+    assert.deepEqual(texts(index.between(4, 6)), ["long", "d"]);
+  });
+
+  it("finds the next and previous boundary, timestamps included", () => {
+    assert.equal(index.nextBoundary(2), 3);
+    assert.equal(index.nextBoundary(3), 4);
+    assert.equal(index.previousBoundary(3), 2);
+    assert.equal(index.nextBoundary(10), undefined);
+    assert.equal(index.previousBoundary(0), undefined);
+  });
+
+  it("reports the cues entered and exited as the time moves", () => {
+    const cursor = index.cursor();
+    const events = [];
+    cursor.onenter = cue => events.push("enter " + cue.text);
+    cursor.onexit = cue => events.push("exit " + cue.text);
+    cursor.ontimestamp = (cue, time) => events.push("timestamp " + time);
+    assert.deepEqual(texts(cursor.update(0.5).entered), ["long"]);
+    cursor.update(1.5);
+    // Playing past d enters and exits it
+    const changes = cursor.update(6);
+    assert.deepEqual(texts(changes.exited), ["a", "b <00:03.000>c", "d"]);
+    assert.deepEqual(events, ["enter long", "enter a", "enter b <00:03.000>c", "enter d", "exit a", "exit b <00:03.000>c", "exit d", "timestamp 3"]);
+    events.length = 0;
+    cursor.update(3.5, true);
+    cursor.update(2.5);
+    assert.deepEqual(events, ["enter b <00:03.000>c", "timestamp 3"]);
+    events.length = 0;
+    assert.deepEqual(texts(cursor.update(5.2, true).entered), ["d"]);
+    assert.deepEqual(texts(cursor.update(20).exited), ["d", "long"]);
+  });
+});
+
+describe("Tests metadata payloads", () => {
+  const vtt = "WEBVTT\n\n00:00.000 --> 00:01.000\n{\"a\": \"<b>&amp;\",\n \"n\": 1}\n\n00:01.000 --> 00:02.000\n{\"a\": 1,,}\n\n";
+
+  it("parses cue text as before unless asked for payloads", () => {
+    const {cues, errors} = new WebVTTParser().parse(vtt, "metadata");
+    assert.equal(cues[1].text, "{\"a\": 1,,}");
+    assert.deepEqual(cues[1].tree.children, [{type: "text", value: "{\"a\": 1,,}"}]);
+    assert.notProperty(cues[1], "payload");
+    assert.deepEqual(errors, []);
+  });
+
+  it("decodes JSON by default without parsing markup", () => {
+    const {cues, errors} = new WebVTTParser(null, {payloads: true}).parse(vtt, "metadata");
+    assert.deepEqual(cues[0].payload, {a: "<b>&amp;", n: 1});
+    assert.equal(cues[0].tree, null);
+    assert.equal(cues[1].payload, null);
+    assert.deepEqual(errors.map(e => [e.code, e.line, e.col, e.endLine, e.endCol]), [["metadata-payload-invalid", 8, 9, 8, 10]]);
+    assert.match(errors[0].message, /^Metadata payload could not be decoded: .+\.$/);
+  });
+
+  it("takes other decoders", () => {
+    const keyValue = "WEBVTT\n\n00:00.000 --> 00:01.000\nid = 42\nurl=https://example.com/?a=b\n\n00:01.000 --> 00:02.000\nok=1\noops\n";
+    const {cues, errors} = new WebVTTParser(null, {decoder: "keyvalue"}).parse(keyValue, "metadata");
+    assert.deepEqual(cues[0].payload, {id: "42", url: "https://example.com/?a=b"});
+    assert.deepEqual(errors.map(e => [e.line, e.col, e.endCol]), [[9, 1, 5]]);
+    const custom = new WebVTTParser(null, {decoder: text => text.split(",").map(Number)}).parse("WEBVTT\n\n00:00.000 --> 00:01.000\n1,2\n", "metadata");
+    assert.deepEqual(custom.cues[0].payload, [1, 2]);
+  });
+
+  it("serializes payloads unchanged", () => {
+    const res = new WebVTTParser(null, {payloads: true}).parse(vtt, "metadata");
+    assert.equal(new WebVTTSerializer().serialize(res), vtt);
+  });
+
+  it("writes, lints and renders the text of cues without a tree", () => {
+    const res = new WebVTTParser(null, {payloads: true}).parse("WEBVTT\n\n00:00.000 --> 00:01.000\n{\"a\": \"<b>\"}\n", "metadata");
+    assert.equal(new SRTSerializer().serialize(res.cues), "1\n00:00:00,000 --> 00:00:01,000\n{\"a\": \"<b>\"}\n\n");
+    assert.deepEqual(new WebVTTLinter({maxCharsPerSecond: 5}).lint(res).map(w => [w.code, w.value]), [["lint-reading-speed", 12]]);
+    assert.equal(new WebVTTCueRenderer().renderHTML(res.cues[0]), '{"a": "&lt;b&gt;"}');
+  });
+});
+
+describe("Tests chapters mode", () => {
+  it("nests chapters and reports overlaps and empty titles", () => {
+    const {chapters, errors} = new WebVTTParser(entities).parse("WEBVTT\n\n00:00.000 --> 01:00.000\nPart &amp; one\n\n"
+      + "00:00.000 --> 00:30.000\nIntro\n\n00:30.000 --> 01:00.000\nMain\n\n00:50.000 --> 01:30.000\nOverlap\n\n"
+      + "01:30.000 --> 02:00.000\n \n", "chapters");
+    const tree = chapters => chapters.map(c => [c.title, c.start, c.end, tree(c.children)]);
+    assert.deepEqual(tree(chapters), [
+      ["Part & one", 0, 60, [["Intro", 0, 30, []], ["Main", 30, 60, []]]],
+      ["Overlap", 50, 90, []],
+      ["", 90, 120, []]
+    ]);
+    assert.equal(chapters[0].cue.text, "Part &amp; one");
+    assert.deepEqual(errors.map(e => [e.code, e.line, e.col, e.endCol]), [["chapter-overlap", 12, 1, 24], ["chapter-title-empty", 15, 1, 24]]);
+  });
+
+  it("nests chapters by start time when they are out of order", () => {
+    const {chapters, errors} = new WebVTTParser().parse("WEBVTT\n\n00:10.000 --> 00:20.000\nB\n\n00:00.000 --> 00:10.000\nA\n\n"
+      + "00:00.000 --> 00:30.000\nAll\n", "chapters");
+    const tree = chapters => chapters.map(c => [c.title, c.start, c.end, tree(c.children)]);
+    assert.deepEqual(tree(chapters), [["All", 0, 30, [["A", 0, 10, []], ["B", 10, 20, []]]]]);
+    assert.deepEqual(errors.map(e => [e.code, e.line]), [["cue-start-order", 6], ["chapter-order", 6]]);
+  });
+
+  it("leaves chapters empty in other modes", () => {
+    assert.deepEqual(new WebVTTParser().parse("WEBVTT\n\n00:00.000 --> 01:00.000\nfoo\n").chapters, []);
+  });
+});
+
+describe("Tests the concrete syntax tree", () => {
+  const dir = 'test/wpt-file-parsing/';
+  it("prints every test file back unchanged", () => {
+    for(let path of fs.readdirSync(dir).filter(p => p.match(/\.vtt$/))) {
+      const vtt = fs.readFileSync(dir + path, 'utf-8');
+      assert.equal(new WebVTTDocument(vtt).print(), vtt, path);
+    }
+  });
+
+  const vtt = "\uFEFFWEBVTT\r\n\r\nNOTE hi\r\n\r\n1\r\n01:02.000   -->  00:01:05.000 line:0  align:start\r\n&amp; x\r\n\r\n\r\n"
+    + "00:10.000 --> 00:11.000\r\nb\r\n00:12.000 --> 00:13.000\r\nno blank line before";
+
+  it("keeps blocks, tokens and positions", () => {
+    const doc = new WebVTTDocument(vtt);
+    assert.equal(doc.bom, "\uFEFF");
+    assert.deepEqual(doc.blocks.map(b => [b.type, b.line]), [["header", 1], ["comment", 3], ["cue", 5], ["cue", 10], ["cue", 12]]);
+    assert.deepEqual(doc.blocks[2].tokens.map(t => [t.type, t.text, t.line, t.col]), [
+      ["id", "1", 5, 1], ["start", "01:02.000", 6, 1], ["whitespace", "   ", 6, 10], ["arrow", "-->", 6, 13], ["whitespace", "  ", 6, 16],
+      ["end", "00:01:05.000", 6, 18], ["whitespace", " ", 6, 30], ["setting", "line:0", 6, 31], ["whitespace", "  ", 6, 37],
+      ["setting", "align:start", 6, 39], ["escape", "&amp;", 7, 1], ["text", " x", 7, 6]
+    ]);
+    assert.include(doc.blocks[2].cue, {id: "1", startTime: 62, endTime: 65, linePosition: 0, alignment: "start", text: "&amp; x"});
+    // In the original order
+    assert.deepEqual(doc.errors.map(e => e.code), ["cue-start-order", "cue-blank-line-missing"]);
+  });
+
+  it("only rewrites what was edited", () => {
+    const doc = new WebVTTDocument(vtt);
+    doc.blocks[2].cue.endTime = 66;
+    doc.blocks[3].cue.text = "new\nlines";
+    assert.equal(doc.print(), vtt.replace("00:01:05.000", "01:06.000").replace("\r\nb\r\n", "\r\nnew\r\nlines\r\n"));
+    doc.blocks[2].cue.alignment = "end";
+    doc.blocks[2].cue.id = "";
+    assert.equal(doc.print(), vtt.replace("1\r\n01:02.000   -->  00:01:05.000 line:0  align:start", "01:02.000   -->  01:06.000 align:end line:0")
+      .replace("\r\nb\r\n", "\r\nnew\r\nlines\r\n"));
+  });
+
+  it("adds, removes and moves blocks", () => {
+    const doc = new WebVTTDocument(vtt);
+    const cue = Object.assign({}, doc.blocks[3].cue, {id: "", startTime: 20, endTime: 21, text: "added"});
+    doc.blocks.splice(1, 1);
+    doc.blocks.push({type: "cue", cue}, {type: "comment", text: "the end"});
+    assert.equal(doc.print(), "\uFEFFWEBVTT\r\n\r\n1\r\n01:02.000   -->  00:01:05.000 line:0  align:start\r\n&amp; x\r\n\r\n\r\n"
+      + "00:10.000 --> 00:11.000\r\nb\r\n00:12.000 --> 00:13.000\r\nno blank line before\r\n\r\n"
+      + "00:20.000 --> 00:21.000\r\nadded\r\n\r\nNOTE the end");
+    const ending = "WEBVTT\n\n00:00.000 --> 00:01.000\na\n\n00:01.000 --> 00:02.000\nb\n";
+    const removed = new WebVTTDocument(ending);
+    removed.blocks.pop();
+    assert.equal(removed.print(), "WEBVTT\n\n00:00.000 --> 00:01.000\na\n");
+    const swapped = new WebVTTDocument(ending);
+    swapped.blocks.push(swapped.blocks.splice(1, 1)[0]);
+    assert.equal(swapped.print(), "WEBVTT\n\n00:01.000 --> 00:02.000\nb\n\n00:00.000 --> 00:01.000\na\n");
+  });
+});
+
+describe("Tests byte input", () => {
+  const vtt = "WEBVTT\n\n00:00.000 --> 00:01.000\ncaf\u00e9 \u201chi\u201d \u{1F600}\n";
+  it("decodes UTF-8, also when sequences are split across chunks", () => {
+    const expected = new WebVTTParser().parse(vtt);
+    const streamParser = new WebVTTStreamParser();
+    const cues = [];
+    streamParser.oncue = cue => cues.push(cue);
+    const bytes = new TextEncoder().encode(vtt);
+    for (let i = 0; i < bytes.length; i++) {
+      streamParser.feed(bytes.subarray(i, i + 1));
+    }
+    streamParser.flush();
+    assert.deepEqual(cues, expected.cues);
+    assert.deepEqual(new WebVTTParser().parse(Buffer.from(vtt)).cues, expected.cues);
+    assert.equal(new WebVTTParser().parse(bytes.buffer).cues[0].text, "caf\u00e9 \u201chi\u201d \u{1F600}");
+  });
+  it("replaces invalid sequences and reports their byte offset", () => {
+    const bytes = Buffer.concat([Buffer.from("WEBVTT\n\n00:00.000 --> 00:01.000\n\u00e9 "), Buffer.from([0xFF, 0xE2, 0x82, 0x41, 0xF0, 0x9F])]);
+    const res = new WebVTTParser().parse(bytes);
+    assert.equal(res.cues[0].text, "\u00e9 \ufffd\ufffdA\ufffd");
+    assert.deepEqual(res.errors.map(e => [e.code, e.offset, e.line, e.col]), [
+      ["encoding-invalid", 35, 4, 3], ["encoding-invalid", 36, 4, 4], ["encoding-invalid", 39, 4, 6]
+    ]);
+  });
+  it("detects UTF-16 and Windows-1252", () => {
+    const utf16 = new WebVTTParser().parse(Buffer.from("\ufeff" + vtt, "utf16le"));
+    assert.equal(utf16.cues[0].text, "caf\u00e9 \u201chi\u201d \u{1F600}");
+    assert.deepEqual(utf16.errors.map(e => e.code), ["encoding-utf16"]);
+    assert.equal(new WebVTTParser().parse(Buffer.from(vtt, "utf16le").swap16()).cues[0].text, "caf\u00e9 \u201chi\u201d \u{1F600}");
+    const legacy = Buffer.from("WEBVTT\n\n00:00.000 --> 00:01.000\ncaf\u00e9 \x93hi\x94\n", "latin1");
+    const res = new WebVTTParser().parse(legacy);
+    assert.equal(res.cues[0].text, "caf\u00e9 \u201chi\u201d");
+    assert.deepEqual(res.errors.map(e => [e.code, e.offset, e.line, e.col]), [["encoding-legacy", 35, 4, 4]]);
+    const utf8 = new WebVTTParser(null, {encoding: "utf-8"}).parse(legacy);
+    assert.equal(utf8.cues[0].text, "caf\ufffd \ufffdhi\ufffd");
+    assert.deepEqual(utf8.errors.map(e => e.code), ["encoding-invalid", "encoding-invalid", "encoding-invalid"]);
+  });
+});
+
+describe("Tests the SRT reader and writer", () => {
+  it("converts SRT to cues", () => {
+    const srt = "1\r\n00:00:01,000 --> 00:00:02,500\r\n<i>Hello</i> & <font color=\"#FF0000\">red</font>\r\n<u>world</u>\r\n\r\n"
+      + "2\r\n00:00:03,000 --> 00:00:04,000\r\n<b>bye</b>\r\n";
+    const {cues, errors} = new SRTParser().parse(srt);
+    assert.deepEqual(errors, []);
+    assert.equal(cues.length, 2);
+    assert.equal(cues[0].startTime, 1);
+    assert.equal(cues[0].endTime, 2.5);
+    assert.equal(cues[0].text, "<i>Hello</i> &amp; <c.color-ff0000>red</c>\n<u>world</u>");
+    assert.equal(new WebVTTSerializer().serialize(cues),
+      "WEBVTT\n\n00:01.000 --> 00:02.500\n<i>Hello</i> &amp; <c.color-ff0000>red</c>\n<u>world</u>\n\n00:03.000 --> 00:04.000\n<b>bye</b>\n\n");
+  });
+  it("reports numbering and timing problems with their line", () => {
+    const srt = "1\n00:00:05,000 --> 00:00:06,000\nfoo\n\n3\n00:00:04,5 --> 00:00:03,000\nbar\n\nbaz\n00:00:07,000\n";
+    const {cues, errors} = new SRTParser().parse(srt);
+    assert.equal(cues.length, 2);
+    assert.equal(cues[1].startTime, 4.5);
+    assert.deepEqual(errors.map(e => [e.line, e.message]), [
+      [5, "Cue number does not follow the number of the previous cue."],
+      [6, "Milliseconds must be given in three digits."],
+      [6, "Start timestamp is not greater than or equal to start timestamp of previous cue."],
+      [6, "End timestamp is not greater than start timestamp."],
+      [9, "Cue number must be an integer."],
+      [10, "Cue number needs to be followed by timestamp."],
+    ]);
+  });
+  it("flattens the cue tree into SRT text", () => {
+    const vtt = "WEBVTT\n\n01:00:00.000 --> 01:00:01.000\n<v Bob>hi <ruby>kan<rt>KAN</rt></ruby> <00:00.500><c.x><i>y</i></c>\n";
+    const {cues} = new WebVTTParser().parse(vtt);
+    assert.equal(new SRTSerializer().serialize(cues), "1\n01:00:00,000 --> 01:00:01,000\nBob: hi kan(KAN) <i>y</i>\n\n");
+  });
+});
+
 const removeEnclosingChar = str => str.slice(1,str.length - 1)
 
 const removeParent = tree => {
@@ -0,0 +1,69 @@
+const assert = require("chai").assert;
+const { WebVTTParser, WebVTTSerializer } = require("../parser.js");
+const { WebVTTTextTrackAdapter } = require("../texttrack.js");
+
+// Stand-ins for the browser's objects
+class VTTCue {
+  constructor(startTime, endTime, text) {
+    Object.assign(this, {id: "", startTime, endTime, text, pauseOnExit: false, vertical: "", snapToLines: true, line: "auto",
+      lineAlign: "start", position: "auto", positionAlign: "auto", size: 100, align: "center", region: null});
+  }
+}
+class VTTRegion {
+  constructor() {
+    Object.assign(this, {id: "", width: 100, lines: 3, regionAnchorX: 0, regionAnchorY: 100, viewportAnchorX: 0, viewportAnchorY: 100, scroll: ""});
+  }
+}
+// Without positionAlign, like some older browsers
+class OldVTTCue extends VTTCue {
+  constructor(startTime, endTime, text) {
+    super(startTime, endTime, text);
+    delete this.positionAlign;
+  }
+}
+class TextTrack {
+  constructor() { this.cues = []; }
+  addCue(cue) { this.cues.push(cue); }
+}
+
+describe("Tests the TextTrack adapter", () => {
+  const parser = new WebVTTParser(require("../html-entities.json"));
+  const vtt = "WEBVTT\n\nREGION\nid:r\nwidth:40%\nlines:2\n\n"
+    + "00:00.000 --> 00:01.000 region:r\n<v Bob>hello &amp; bye\n\n"
+    + "00:01.000 --> 00:02.000 vertical:rl line:10% position:20%,line-left size:50% align:start\n<i>second</i>\n\n";
+
+  it("adds VTTCue and VTTRegion objects to a track", () => {
+    const track = new TextTrack();
+    const result = new WebVTTTextTrackAdapter(null, {window: {VTTCue, VTTRegion}}).toTextTrack(parser.parse(vtt), track);
+    assert.deepEqual(result.unsupported, []);
+    assert.equal(track.cues.length, 2);
+    assert.include(track.cues[0].region, {id: "r", width: 40, lines: 2});
+    assert.include(track.cues[1], {vertical: "rl", snapToLines: false, line: 10, position: 20, positionAlign: "line-left",
+      size: 50, align: "start", text: "<i>second</i>"});
+  });
+
+  it("lists the cues the browser cannot show", () => {
+    const track = new TextTrack();
+    const result = new WebVTTTextTrackAdapter(null, {window: {VTTCue: OldVTTCue}}).toTextTrack(parser.parse(vtt), track);
+    assert.deepEqual(result.unsupported.map(item => item.properties), [["region"], ["positionAlign"]]);
+    assert.equal(track.cues.length, 0);
+    assert.equal(result.overlay, null);
+  });
+
+  it("reads a track back into cues that serialize", () => {
+    const track = new TextTrack();
+    const adapter = new WebVTTTextTrackAdapter(null, {window: {VTTCue, VTTRegion}});
+    const parsed = parser.parse(vtt);
+    adapter.toTextTrack(parsed, track);
+    const result = adapter.fromTextTrack(track);
+    assert.deepEqual(result.cues, parsed.cues);
+    assert.equal(result.cues[0].region, result.regions[0]);
+    assert.equal(new WebVTTSerializer().serialize(result), new WebVTTSerializer().serialize(parsed));
+  });
+  it("reads cue text with the parser's default entities", () => {
+    const track = new TextTrack();
+    track.addCue(new VTTCue(0, 1, "a &amp b &lt;"));
+    const result = new WebVTTTextTrackAdapter(null, {window: {VTTCue, VTTRegion}}).fromTextTrack(track);
+    assert.deepEqual(result.cues[0].tree.children, [{type: "text", value: "a & b <"}]);
+  });
+});
@@ -0,0 +1,82 @@
+const { assert } = require('chai');
+const { WebVTTParser, WebVTTSerializer } = require("../parser.js");
+const { TTMLConverter } = require("../ttml.js");
+const entities = require("../html-entities.json");
+
+describe("Tests the TTML converter", () => {
+  let parser, seri, converter;
+  before(() => {
+    parser = new WebVTTParser(entities);
+    seri = new WebVTTSerializer();
+    converter = new TTMLConverter();
+  });
+
+  it("maps cue settings to regions", () => {
+    const {ttml, warnings} = converter.toTTML(parser.parse("WEBVTT\n\n00:00:01.000 --> 00:00:02.500 align:left position:10% size:50% line:20%,end\nfoo\n\n00:00:03.000 --> 00:00:04.000 vertical:rl\nbar\n"));
+    assert.deepEqual(warnings, []);
+    assert.include(ttml, '<region xml:id="r1" tts:origin="10% 0%" tts:extent="50% 20%" tts:displayAlign="after"/>');
+    assert.include(ttml, '<region xml:id="r2" tts:origin="0% 0%" tts:extent="100% 100%" tts:writingMode="tbrl" tts:displayAlign="before"/>');
+    assert.include(ttml, '<p begin="00:00:01.000" end="00:00:02.500" region="r1" tts:textAlign="left">foo</p>');
+  });
+
+  it("maps classes, STYLE blocks and voices to styles and agents", () => {
+    const vtt = "WEBVTT\n\nSTYLE\n::cue(.loud) { color: yellow; font-weight: bold; border: 1px solid }\n\n"
+      + "00:00.000 --> 00:01.000\n<v Bob>Hi <c.loud>you</c> &amp; <i>me</i></v>\n";
+    const {ttml, warnings} = converter.toTTML(parser.parse(vtt));
+    assert.deepEqual(warnings, [
+      {code: "ttml-css-property-unsupported", severity: "warning", message: 'CSS property "border: 1px solid" has no TTML equivalent.'}
+    ]);
+    assert.include(ttml, '<style xml:id="s1" tts:color="yellow" tts:fontWeight="bold"/>');
+    assert.include(ttml, '<ttm:agent xml:id="agent1" type="person"><ttm:name type="full">Bob</ttm:name></ttm:agent>');
+    assert.include(ttml, '<span ttm:agent="agent1">Hi <span style="s1">you</span> &amp; <span tts:fontStyle="italic">me</span></span>');
+  });
+
+  it("reports what gets lost", () => {
+    const {warnings} = converter.toTTML(parser.parse("WEBVTT\n\n00:00.000 --> 00:01.000 line:2\na <00:00.500>b\n"));
+    assert.deepEqual(warnings.map(w => w.message), [
+      "Line numbers are approximated as 5.33% of the video height.",
+      "Cue timestamps have no TTML equivalent and were dropped."
+    ]);
+  });
+
+  it("converts TTML into input for WebVTTSerializer", () => {
+    const ttml = `<?xml version="1.0" encoding="utf-8"?>
+<tt:tt xmlns:tt="http://www.w3.org/ns/ttml" xmlns:tts="http://www.w3.org/ns/ttml#styling" xmlns:ttm="http://www.w3.org/ns/ttml#metadata" xmlns:ttp="http://www.w3.org/ns/ttml#parameter" ttp:frameRate="25">
+ <tt:head>
+  <tt:styling>
+   <tt:style xml:id="yellow" tts:color="yellow" tts:fontStyle="italic"/>
+  </tt:styling>
+  <tt:layout>
+   <tt:region xml:id="bottom" tts:origin="10% 10%" tts:extent="80% 80%" tts:displayAlign="after"/>
+  </tt:layout>
+  <tt:metadata><ttm:agent xml:id="a1"><ttm:name>Bob</ttm:name></ttm:agent></tt:metadata>
+ </tt:head>
+ <tt:body>
+  <tt:div begin="10s">
+   <tt:p begin="00:00:01:12" end="00:00:03:00" region="bottom" style="yellow" ttm:agent="a1">
+     Hello &amp; <tt:span tts:fontWeight="bold">you</tt:span>
+     <tt:br/> there
+   </tt:p>
+   <tt:p begin="5s" dur="1500ms"><tt:image/>bye</tt:p>
+  </tt:div>
+ </tt:body>
+</tt:tt>`;
+    const res = converter.fromTTML(ttml);
+    assert.deepEqual(res.errors, []);
+    assert.deepEqual(res.warnings, [
+      {code: "ttml-element-unsupported", severity: "warning", message: "Element <image> has no WebVTT equivalent and was dropped.",
+       line: 18, col: 34, endLine: 18, endCol: 45}
+    ]);
+    assert.equal(seri.serialize(res), "WEBVTT\n\nSTYLE\n::cue(.yellow) { color: yellow; }\n\n"
+      + "00:11.480 --> 00:13.000 size:80% line:90%,end position:50%,center\n<i><c.yellow><v Bob>Hello &amp; <b>you</b>\nthere</v></c></i>\n\n"
+      + "00:15.000 --> 00:16.500\nbye\n\n");
+  });
+
+  it("reports malformed documents", () => {
+    const res = converter.fromTTML("<tt xmlns='http://www.w3.org/ns/ttml'><body><p></body></tt>");
+    assert.deepEqual(res.errors, [
+      {code: "xml-end-tag-invalid", severity: "error", message: "Incorrect end tag.", line: 1, col: 48, endLine: 1, endCol: 49},
+      {code: "xml-element-unclosed", severity: "error", message: 'Element "p" is not closed.', line: 1, col: 60, endLine: 1, endCol: 61}
+    ]);
+  });
+});
@@ -0,0 +1,218 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+// Puts parsed cues on a browser TextTrack as VTTCue and VTTRegion objects, shows what the
+// browser does not support in a DOM overlay, and reads a TextTrack back into parsed cues.
+
+(function () {
+  var webvtt = typeof require !== 'undefined' ? require("./parser.js") : window,
+      layout = typeof require !== 'undefined' ? require("./layout.js") : window
+
+  /* Cue property -> VTTCue property, with the value conversions both ways when they differ */
+  var CUE_PROPERTIES = [
+    ["id", "id"],
+    ["pauseOnExit", "pauseOnExit"],
+    ["direction", "vertical", function(value) { return value == "horizontal" ? "" : value }, function(value) { return value || "horizontal" }],
+    ["snapToLines", "snapToLines"],
+    ["linePosition", "line"],
+    ["lineAlign", "lineAlign"],
+    ["textPosition", "position"],
+    ["positionAlign", "positionAlign"],
+    ["size", "size"],
+    ["alignment", "align"]
+  ]
+  var REGION_PROPERTIES = ["id", "width", "lines", "regionAnchorX", "regionAnchorY", "viewportAnchorX", "viewportAnchorY", "scroll"]
+
+  // The parser's defaults, and those of the cue properties that are not settings
+  var defaultCueSettings = Object.assign({id:"", pauseOnExit:false}, webvtt.WebVTTDefaultCueSettings),
+      defaultRegionSettings = webvtt.WebVTTDefaultRegionSettings,
+      defaultEntities = webvtt.WebVTTDefaultEntities
+
+  /* entities are those for reading cue text back, options.window the one with VTTCue and
+     VTTRegion, by default the global one. */
+  var WebVTTTextTrackAdapter = function(entities, options) {
+    entities = entities || defaultEntities
+    options = options || {}
+    var win = options.window || (typeof window !== 'undefined' ? window : {})
+
+    // False when the browser lacks the property or changes the value
+    function assign(target, name, value) {
+      if(!(name in target))
+        return false
+      try {
+        target[name] = value
+      } catch(e) {
+        return false
+      }
+      return target[name] === value
+    }
+
+    /* TO THE BROWSER */
+    // A VTTRegion, or null when the browser cannot show it
+    function toVTTRegion(region) {
+      if(!win.VTTRegion)
+        return null
+      var native = new win.VTTRegion()
+      for(var i = 0; i < REGION_PROPERTIES.length; i++) {
+        var name = REGION_PROPERTIES[i]
+        if(region[name] !== defaultRegionSettings[name] && !assign(native, name, region[name]))
+          return null
+      }
+      return native
+    }
+    // {cue, unsupported} with the names of the properties the VTTCue could not take
+    function toVTTCue(cue, regions) {
+      var native = new win.VTTCue(cue.startTime, cue.endTime, cue.text),
+          unsupported = []
+      for(var i = 0; i < CUE_PROPERTIES.length; i++) {
+        var property = CUE_PROPERTIES[i],
+            value = property[2] ? property[2](cue[property[0]]) : cue[property[0]]
+        if(cue[property[0]] !== defaultCueSettings[property[0]] && !assign(native, property[1], value))
+          unsupported.push(property[0])
+      }
+      if(cue.region) {
+        if(!regions.has(cue.region))
+          regions.set(cue.region, toVTTRegion(cue.region))
+        if(!regions.get(cue.region) || !assign(native, "region", regions.get(cue.region)))
+          unsupported.push("region")
+      }
+      return {cue:native, unsupported:unsupported}
+    }
+
+    /* Adds the cues of a parse result (or a list of cues) to track. Cues with properties the
+       browser does not support are left out and listed in unsupported as {cue, properties};
+       given the video, an overlay shows them instead. Returns {cues, unsupported, overlay}. */
+    this.toTextTrack = function(result, track, video) {
+      var cues = result.cues || result,
+          regions = new Map(),
+          added = [],
+          unsupported = []
+      for(var i = 0; i < cues.length; i++) {
+        var converted = toVTTCue(cues[i], regions)
+        if(converted.unsupported.length) {
+          unsupported.push({cue:cues[i], properties:converted.unsupported})
+        } else {
+          track.addCue(converted.cue)
+          added.push(converted.cue)
+        }
+      }
+      var overlay = null
+      if(video && unsupported.length)
+        overlay = this.createOverlay(video, unsupported.map(function(item) { return item.cue }), track)
+      return {cues:added, unsupported:unsupported, overlay:overlay}
+    }
+
+    /* Shows cues in elements over the video, laid out by WebVTTLayout (load layout.js) and
+       rendered by WebVTTCueRenderer, while track (if given) is showing. Returns {element,
+       render(), destroy()}; call render() when the video changes size. */
+    this.createOverlay = function(video, cues, track) {
+      var doc = video.ownerDocument,
+          element = doc.createElement("div"),
+          renderer = new webvtt.WebVTTCueRenderer(),
+          cursor = new webvtt.WebVTTCueIndex(cues).cursor()
+      element.style.cssText = "position:absolute;overflow:hidden;pointer-events:none"
+      video.parentNode.insertBefore(element, video.nextSibling)
+
+      function render() {
+        var width = video.clientWidth,
+            height = video.clientHeight,
+            fontSize = height * 0.05
+        element.style.left = video.offsetLeft + "px"
+        element.style.top = video.offsetTop + "px"
+        element.style.width = width + "px"
+        element.style.height = height + "px"
+        element.textContent = ""
+        if(track && track.mode != "showing")
+          return
+        var result = new layout.WebVTTLayout({width:width, height:height, fontSize:fontSize}).layout(cursor.active)
+        for(var i = 0; i < result.cues.length; i++) {
+          var box = result.cues[i].box,
+              cue = result.cues[i].cue,
+              div = doc.createElement("div"),
+              span = doc.createElement("span")
+          div.style.cssText = "position:absolute;color:#fff;white-space:pre-line;font:" + fontSize + "px sans-serif"
+          div.style.left = box.x + "px"
+          div.style.top = box.y + "px"
+          div.style.width = box.width + "px"
+          div.style.height = box.height + "px"
+          div.style.textAlign = cue.alignment
+          if(cue.direction != "horizontal")
+            div.style.writingMode = cue.direction == "rl" ? "vertical-rl" : "vertical-lr"
+          span.style.background = "rgba(0,0,0,0.8)"
+          span.appendChild(renderer.renderDOM(cue, video.currentTime, doc))
+          div.appendChild(span)
+          element.appendChild(div)
+        }
+      }
+      function update(seeking) {
+        var changes = cursor.update(video.currentTime, seeking)
+        if(changes.entered.length || changes.exited.length || changes.timestamps.length)
+          render()
+      }
+      function onTimeUpdate() { update(false) }
+      function onSeeked() { update(true) }
+      video.addEventListener("timeupdate", onTimeUpdate)
+      video.addEventListener("seeked", onSeeked)
+      // Fired when the mode of a track changes
+      video.textTracks.addEventListener("change", render)
+      cursor.update(video.currentTime, true)
+      render()
+      return {
+        element:element,
+        render:render,
+        destroy:function() {
+          video.removeEventListener("timeupdate", onTimeUpdate)
+          video.removeEventListener("seeked", onSeeked)
+          video.textTracks.removeEventListener("change", render)
+          element.parentNode.removeChild(element)
+        }
+      }
+    }
+
+    /* FROM THE BROWSER
+       The cues of track as WebVTTParser would give them, ready for WebVTTSerializer. */
+    this.fromTextTrack = function(track) {
+      var regions = new Map(),
+          cues = [],
+          list = track.cues || []
+      function fromVTTRegion(native) {
+        if(!regions.has(native)) {
+          var region = Object.assign({}, defaultRegionSettings)
+          for(var i = 0; i < REGION_PROPERTIES.length; i++) {
+            if(REGION_PROPERTIES[i] in native)
+              region[REGION_PROPERTIES[i]] = native[REGION_PROPERTIES[i]]
+          }
+          regions.set(native, region)
+        }
+        return regions.get(native)
+      }
+      for(var i = 0; i < list.length; i++) {
+        var native = list[i]
+        // Not a VTTCue, such as a DataCue
+        if(typeof native.text != "string")
+          continue
+        var cue = Object.assign({}, defaultCueSettings, {
+          startTime:native.startTime,
+          endTime:native.endTime,
+          region:native.region ? fromVTTRegion(native.region) : null,
+          text:native.text,
+          tree:null
+        })
+        for(var j = 0; j < CUE_PROPERTIES.length; j++) {
+          var property = CUE_PROPERTIES[j]
+          if(property[1] in native)
+            cue[property[0]] = property[3] ? property[3](native[property[1]]) : native[property[1]]
+        }
+        cue.tree = new webvtt.WebVTTCueTextParser(cue.text, function() {}, undefined, entities).parse(cue.startTime, cue.endTime)
+        cues.push(cue)
+      }
+      return {cues:cues, regions:Array.from(regions.values()), styles:[], comments:[], header:""}
+    }
+  }
+
+  function exportify(object) {
+    object.WebVTTTextTrackAdapter = WebVTTTextTrackAdapter
+  }
+  if (typeof window !== 'undefined') exportify(window);
+  if (typeof exports !== 'undefined') exportify(exports);
+})()
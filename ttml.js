@@ -0,0 +1,1082 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+// Conversion between WebVTT cues and TTML documents in the IMSC 1.1 Text profile.
+
+(function () {
+  var webvtt = typeof require !== 'undefined' ? require("./parser.js") : window
+
+  var TT = "http://www.w3.org/ns/ttml",
+      TTS = TT + "#styling",
+      TTM = TT + "#metadata",
+      TTP = TT + "#parameter",
+      XML = "http://www.w3.org/XML/1998/namespace",
+      IMSC11_TEXT = "http://www.w3.org/ns/ttml/profile/imsc1.1/text"
+
+  /* DIAGNOSTICS
+     Severities of the codes of the converter, see diagnostics.md. */
+  var diagnostics = {
+    "xml-character-reference-invalid": "error",
+    "xml-prefix-undeclared": "error",
+    "xml-comment-unclosed": "error",
+    "xml-cdata-unclosed": "error",
+    "xml-end-tag-invalid": "error",
+    "xml-start-tag-invalid": "error",
+    "xml-root-multiple": "error",
+    "xml-text-outside-root": "error",
+    "xml-element-unclosed": "error",
+    "ttml-root-missing": "error",
+    "ttml-time-expression-invalid": "error",
+    "ttml-style-undefined": "error",
+    "ttml-region-undefined": "error",
+    "ttml-css-property-unsupported": "warning",
+    "ttml-css-selector-unsupported": "warning",
+    "ttml-region-lines-approximated": "warning",
+    "ttml-region-scroll-unsupported": "warning",
+    "ttml-line-approximated": "warning",
+    "ttml-timestamp-dropped": "warning",
+    "ttml-ruby-base-unannotated": "warning",
+    "ttml-cue-id-invalid": "warning",
+    "ttml-pause-on-exit-unsupported": "warning",
+    "ttml-style-property-unsupported": "warning",
+    "ttml-element-unsupported": "warning",
+    "ttml-span-end-unsupported": "warning",
+    "ttml-region-units-unsupported": "warning",
+    "ttml-region-style-unsupported": "warning",
+    "ttml-paragraph-end-missing": "warning",
+    "ttml-text-align-unsupported": "warning",
+    "ttml-cue-text-invalid": "warning",
+    "ttml-time-container-seq": "warning"
+  }
+
+  // Lines of snap-to-lines cues are taken to be this percentage of the video height
+  var LINE_HEIGHT = 5.33
+
+  // the escapes the generated cue text uses
+  var entities = {
+    "&amp;": "&",
+    "&lt;": "<",
+    "&gt;": ">"
+  }
+
+  /* CSS property -> tts: attribute, with a value conversion when needed */
+  var cssToTTS = {
+    "color": ["color"],
+    "background-color": ["backgroundColor"],
+    "background": ["backgroundColor"],
+    "font-family": ["fontFamily"],
+    "font-size": ["fontSize", function(value) {
+      var m = value.match(/^([\d.]+)(px|%|em|vh)$/)
+      if(!m)
+        return
+      if(m[2] == "em")
+        return parseFloat(m[1]) * 100 + "%"
+      if(m[2] == "vh")
+        return m[1] + "rh"
+      return value
+    }],
+    "font-style": ["fontStyle", function(value) {
+      return ["normal", "italic", "oblique"].indexOf(value) != -1 ? value : undefined
+    }],
+    "font-weight": ["fontWeight", function(value) {
+      if(value == "normal" || value == "bold")
+        return value
+      if(/^\d+$/.test(value))
+        return parseInt(value, 10) >= 600 ? "bold" : "normal"
+    }],
+    "text-decoration": ["textDecoration", function(value) {
+      return {"none":"none", "underline":"underline", "line-through":"lineThrough", "overline":"overline"}[value]
+    }],
+    "opacity": ["opacity"],
+    "visibility": ["visibility", function(value) {
+      return value == "visible" || value == "hidden" ? value : undefined
+    }],
+    "text-shadow": ["textShadow"],
+    "line-height": ["lineHeight"],
+    "white-space": ["wrapOption", function(value) {
+      return value == "nowrap" || value == "pre" ? "noWrap" : value == "normal" ? "wrap" : undefined
+    }]
+  }
+
+  /* tts: attribute -> CSS property, with a value conversion when needed */
+  var ttsToCSS = {
+    "color": ["color", cssColor],
+    "backgroundColor": ["background-color", cssColor],
+    "fontFamily": ["font-family", function(value) {
+      return value.split(",").map(function(family) {
+        family = family.trim()
+        return {
+          "default": "monospace",
+          "monospace": "monospace",
+          "sansSerif": "sans-serif",
+          "serif": "serif",
+          "monospaceSansSerif": "monospace",
+          "monospaceSerif": "monospace",
+          "proportionalSansSerif": "sans-serif",
+          "proportionalSerif": "serif"
+        }[family] || family
+      }).join(", ")
+    }],
+    "fontSize": ["font-size", function(value) {
+      var m = value.split(/\s+/)[0].match(/^([\d.]+)(px|%|rh|em)$/)
+      if(!m)
+        return
+      return m[2] == "rh" ? m[1] + "vh" : m[0]
+    }],
+    "fontStyle": ["font-style"],
+    "fontWeight": ["font-weight"],
+    "textDecoration": ["text-decoration", function(value) {
+      return {"none":"none", "noUnderline":"none", "underline":"underline", "lineThrough":"line-through", "overline":"overline"}[value]
+    }],
+    "opacity": ["opacity"],
+    "visibility": ["visibility"],
+    "textShadow": ["text-shadow"],
+    "lineHeight": ["line-height"],
+    "wrapOption": ["white-space", function(value) {
+      return value == "noWrap" ? "nowrap" : "normal"
+    }]
+  }
+
+  // TTML allows rgba() with an alpha between 0 and 255
+  function cssColor(value) {
+    var m = value.match(/^rgba\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)$/)
+    if(m)
+      return "rgba(" + m[1] + "," + m[2] + "," + m[3] + "," + +(parseInt(m[4], 10) / 255).toFixed(3) + ")"
+    return value
+  }
+
+  function escapeXML(text) {
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;")
+  }
+
+  function escapeCueText(text) {
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+  }
+
+  function percentage(value) {
+    return +value.toFixed(2) + "%"
+  }
+
+  function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max)
+  }
+
+  function clockTime(seconds) {
+    var ms = Math.round(seconds * 1000),
+        h = Math.floor(ms / 3600000),
+        m = Math.floor(ms / 60000) % 60,
+        s = Math.floor(ms / 1000) % 60
+    return ("" + h).padStart(2, "0") + ":" + ("" + m).padStart(2, "0") + ":" + ("" + s).padStart(2, "0") + "." + ("" + ms % 1000).padStart(3, "0")
+  }
+
+  /* XML PARSING
+     Just enough XML for TTML documents: elements with namespaces, attributes, text, CDATA
+     sections and the predefined and numeric character references. Comments, processing
+     instructions and the doctype are skipped. */
+  function parseXML(input, err) {
+    var pos = 0,
+        root = null,
+        document = {children:[]},
+        current = document,
+        scope = {xml:XML}
+    function position(offset) {
+      var before = input.slice(0, offset).split(/\r\n|\r|\n/)
+      return {line:before.length, col:before[before.length-1].length + 1}
+    }
+    function error(code, message, offset) {
+      var p = position(offset)
+      err(code, message, p.line, p.col, p.line, p.col + 1)
+    }
+    function decode(text, offset) {
+      return text.replace(/&([^;&<\s]*);?/g, function(match, name) {
+        var m
+        if(match[match.length-1] == ";") {
+          if(name == "lt") return "<"
+          if(name == "gt") return ">"
+          if(name == "amp") return "&"
+          if(name == "quot") return "\""
+          if(name == "apos") return "'"
+          if((m = name.match(/^#x([0-9a-f]+)$/i)) || (m = name.match(/^#([0-9]+)$/))) {
+            var code = parseInt(m[1], m[0][1] == "x" || m[0][1] == "X" ? 16 : 10)
+            if(code <= 0x10FFFF)
+              return String.fromCodePoint(code)
+          }
+        }
+        error("xml-character-reference-invalid", "Incorrect character reference.", offset)
+        return match
+      })
+    }
+    function resolve(qname, scope, isAttribute, offset) {
+      var index = qname.indexOf(":"),
+          prefix = index == -1 ? "" : qname.slice(0, index),
+          local = qname.slice(index + 1)
+      if(prefix == "" && isAttribute)
+        return {ns:"", local:local}
+      if(scope[prefix] == undefined) {
+        if(prefix != "")
+          error("xml-prefix-undeclared", "Undeclared namespace prefix \"" + prefix + "\".", offset)
+        return {ns:"", local:local}
+      }
+      return {ns:scope[prefix], local:local}
+    }
+    function text(value) {
+      if(current.children.length && typeof current.children[current.children.length-1] == "string")
+        current.children[current.children.length-1] += value
+      else
+        current.children.push(value)
+    }
+
+    while(pos < input.length) {
+      var end
+      if(input.startsWith("<!--", pos)) {
+        end = input.indexOf("-->", pos)
+        if(end == -1) {
+          error("xml-comment-unclosed", "Comment is not closed.", pos)
+          break
+        }
+        pos = end + 3
+      } else if(input.startsWith("<![CDATA[", pos)) {
+        end = input.indexOf("]]>", pos)
+        if(end == -1) {
+          error("xml-cdata-unclosed", "CDATA section is not closed.", pos)
+          break
+        }
+        if(current != document)
+          text(input.slice(pos + 9, end))
+        pos = end + 3
+      } else if(input.startsWith("<?", pos)) {
+        end = input.indexOf("?>", pos)
+        pos = end == -1 ? input.length : end + 2
+      } else if(input.startsWith("<!", pos)) {
+        var depth = 0
+        for(end = pos; end < input.length; end++) {
+          if(input[end] == "[") depth++
+          if(input[end] == "]") depth--
+          if(input[end] == ">" && depth <= 0) break
+        }
+        pos = end + 1
+      } else if(input.startsWith("</", pos)) {
+        var close = input.slice(pos).match(/^<\/([^\s>]+)\s*>/)
+        if(!close || current == document || close[1] != current.name) {
+          error("xml-end-tag-invalid", "Incorrect end tag.", pos)
+          break
+        }
+        scope = current.parentScope
+        current = current.parent
+        pos += close[0].length
+      } else if(input[pos] == "<") {
+        var tag = input.slice(pos).match(/^<([^\s\/>]+)((?:\s+[^\s=\/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/)
+        if(!tag) {
+          error("xml-start-tag-invalid", "Incorrect start tag.", pos)
+          break
+        }
+        var ATTRIBUTE = /([^\s=\/>]+)\s*=\s*("[^"]*"|'[^']*')/g,
+            rawAttributes = [],
+            elementScope = Object.create(scope),
+            m
+        while((m = ATTRIBUTE.exec(tag[2]))) {
+          var value = decode(m[2].slice(1, -1), pos)
+          if(m[1] == "xmlns")
+            elementScope[""] = value
+          else if(m[1].indexOf("xmlns:") == 0)
+            elementScope[m[1].slice(6)] = value
+          else
+            rawAttributes.push([m[1], value])
+        }
+        var name = resolve(tag[1], elementScope, false, pos),
+            p = position(pos),
+            tagEnd = position(pos + tag[0].length),
+            element = {name:tag[1], ns:name.ns, local:name.local, attributes:{}, children:[], parent:current, parentScope:scope,
+                       line:p.line, col:p.col, endLine:tagEnd.line, endCol:tagEnd.col}
+        for(var i = 0; i < rawAttributes.length; i++) {
+          var attribute = resolve(rawAttributes[i][0], elementScope, true, pos)
+          element.attributes[attribute.ns + "|" + attribute.local] = rawAttributes[i][1]
+        }
+        if(current == document) {
+          if(root)
+            error("xml-root-multiple", "Only one root element is allowed.", pos)
+          root = element
+        }
+        current.children.push(element)
+        pos += tag[0].length
+        if(!tag[3]) {
+          current = element
+          scope = elementScope
+        }
+      } else {
+        end = input.indexOf("<", pos)
+        if(end == -1)
+          end = input.length
+        if(current != document)
+          text(decode(input.slice(pos, end), pos))
+        else if(/\S/.test(input.slice(pos, end)))
+          error("xml-text-outside-root", "Text outside of the root element.", pos)
+        pos = end
+      }
+    }
+    if(current != document)
+      error("xml-element-unclosed", "Element \"" + current.name + "\" is not closed.", input.length)
+    return root
+  }
+
+  function attr(element, ns, name) {
+    return element.attributes[ns + "|" + name]
+  }
+
+  function childElements(element, ns, local) {
+    return element.children.filter(function(child) {
+      return typeof child != "string" && child.ns == ns && (!local || child.local == local)
+    })
+  }
+
+  /* STYLE BLOCKS
+     Reads the rules of WebVTT STYLE blocks as far as TTML can express them. */
+  function parseStyleRules(styles, warn) {
+    var rules = []
+    for(var i = 0; i < styles.length; i++) {
+      var RULE = /([^{}]*)\{([^}]*)\}/g,
+          css = styles[i].replace(/\/\*[\s\S]*?\*\//g, ""),
+          m
+      while((m = RULE.exec(css))) {
+        var declarations = m[2].split(";"),
+            properties = {}
+        for(var j = 0; j < declarations.length; j++) {
+          var index = declarations[j].indexOf(":")
+          if(index == -1)
+            continue
+          var property = declarations[j].slice(0, index).trim().toLowerCase(),
+              value = declarations[j].slice(index + 1).replace(/!important/, "").trim(),
+              mapping = cssToTTS[property],
+              converted = mapping && (mapping[1] ? mapping[1](value) : value)
+          if(converted == undefined) {
+            warn("ttml-css-property-unsupported", "CSS property \"" + property + ": " + value + "\" has no TTML equivalent.")
+            continue
+          }
+          properties[mapping[0]] = converted
+        }
+        var selectors = m[1].split(",")
+        for(j = 0; j < selectors.length; j++) {
+          var selector = parseSelector(selectors[j].trim())
+          if(!selector) {
+            warn("ttml-css-selector-unsupported", "Selector \"" + selectors[j].trim() + "\" has no TTML equivalent.")
+            continue
+          }
+          selector.properties = properties
+          rules.push(selector)
+        }
+      }
+    }
+    return rules
+  }
+
+  function parseSelector(selector) {
+    var m
+    if(selector == "::cue")
+      return {global:true}
+    if(!(m = selector.match(/^::cue\((.*)\)$/)))
+      return
+    var inner = m[1].trim()
+    if((m = inner.match(/^v\[voice=(?:"([^"]*)"|'([^']*)')\]$/)))
+      return {name:"v", classes:[], voice:m[1] != undefined ? m[1] : m[2]}
+    if((m = inner.match(/^([a-z]*)((?:\.[^.\s\[\]():]+)*)$/)) && inner != "")
+      return {name:m[1], classes:m[2] ? m[2].slice(1).split(".") : []}
+  }
+
+  function ruleMatches(rule, node) {
+    if(rule.global)
+      return false
+    if(rule.name && rule.name != node.name)
+      return false
+    if(rule.voice != undefined && rule.voice != node.value)
+      return false
+    for(var i = 0; i < rule.classes.length; i++) {
+      if((node.classes || []).indexOf(rule.classes[i]) == -1)
+        return false
+    }
+    return true
+  }
+
+  function styleAttributes(properties) {
+    var result = ""
+    for(var property in properties) {
+      result += " tts:" + property + "=\"" + escapeXML(properties[property]) + "\""
+    }
+    return result
+  }
+
+  var TTMLConverter = function() {
+    /* WEBVTT -> TTML
+       Either toTTML(cues, styles) or toTTML(result) with the result of WebVTTParser.parse(). */
+    this.toTTML = function(cues, styles) {
+      var warnings = [],
+          regions = [],
+          regionKeys = {},
+          agents = [],
+          usedRules = [],
+          cueIndex,
+          warnedOnce = {}
+      if (!Array.isArray(cues)) {
+        styles = cues.styles
+        cues = cues.cues
+      }
+      function warn(code, message, once) {
+        if(once) {
+          if(warnedOnce[code])
+            return
+          warnedOnce[code] = true
+        }
+        var warning = {code:code, severity:diagnostics[code], message:message}
+        if(cueIndex != undefined)
+          warning.cue = cueIndex
+        warnings.push(warning)
+      }
+      var rules = parseStyleRules(styles || [], warn)
+
+      function region(attributes) {
+        var key = JSON.stringify(attributes)
+        if(!regionKeys[key]) {
+          regionKeys[key] = "r" + (regions.length + 1)
+          regions.push([regionKeys[key], attributes])
+        }
+        return regionKeys[key]
+      }
+
+      /* Cue box to TTML region, after the WebVTT rendering rules */
+      function cueRegion(cue) {
+        var vertical = cue.direction != "horizontal",
+            align = cue.alignment,
+            lineStart,
+            lineExtent,
+            displayAlign
+        if(cue.region) {
+          var r = cue.region,
+              height = r.lines * LINE_HEIGHT
+          warn("ttml-region-lines-approximated", "Region lines are approximated as " + LINE_HEIGHT + "% of the video height.", true)
+          if(r.scroll)
+            warn("ttml-region-scroll-unsupported", "Region scrolling has no TTML equivalent.", true)
+          return region({
+            origin: percentage(r.viewportAnchorX - r.regionAnchorX * r.width / 100) + " " + percentage(r.viewportAnchorY - r.regionAnchorY * height / 100),
+            extent: percentage(r.width) + " " + percentage(height),
+            displayAlign: "after"
+          })
+        }
+
+        /* Position and size, along the line */
+        var position = cue.textPosition,
+            positionAlign = cue.positionAlign
+        if(position == "auto")
+          position = align == "left" || align == "start" ? 0 : align == "right" || align == "end" ? 100 : 50
+        if(positionAlign == "auto")
+          positionAlign = align == "left" || align == "start" ? "line-left" : align == "right" || align == "end" ? "line-right" : "center"
+        var start = positionAlign == "line-left" ? position : positionAlign == "center" ? position - cue.size / 2 : position - cue.size
+        start = clamp(start, 0, 100 - cue.size)
+
+        /* Line */
+        if(cue.linePosition == "auto") {
+          lineStart = 0
+          lineExtent = 100
+          displayAlign = vertical ? "before" : "after"
+        } else if(cue.snapToLines) {
+          warn("ttml-line-approximated", "Line numbers are approximated as " + LINE_HEIGHT + "% of the video height.", true)
+          if(cue.linePosition >= 0) {
+            lineStart = clamp(cue.linePosition * LINE_HEIGHT, 0, 100 - LINE_HEIGHT)
+            lineExtent = 100 - lineStart
+            displayAlign = "before"
+          } else {
+            lineStart = 0
+            lineExtent = clamp(100 + (cue.linePosition + 1) * LINE_HEIGHT, LINE_HEIGHT, 100)
+            displayAlign = "after"
+          }
+        } else {
+          var line = cue.linePosition
+          if(cue.lineAlign == "start") {
+            lineStart = line
+            lineExtent = 100 - line
+            displayAlign = "before"
+          } else if(cue.lineAlign == "end") {
+            lineStart = 0
+            lineExtent = line
+            displayAlign = "after"
+          } else {
+            var half = Math.min(line, 100 - line)
+            lineStart = line - half
+            lineExtent = half * 2
+            displayAlign = "center"
+          }
+        }
+
+        var attributes
+        if(!vertical) {
+          attributes = {
+            origin: percentage(start) + " " + percentage(lineStart),
+            extent: percentage(cue.size) + " " + percentage(lineExtent)
+          }
+        } else {
+          // Lines of vertical growing left text are counted from the right
+          var x = cue.direction == "rl" && cue.linePosition != "auto" ? 100 - lineStart - lineExtent : lineStart
+          attributes = {
+            origin: percentage(x) + " " + percentage(start),
+            extent: percentage(lineExtent) + " " + percentage(cue.size),
+            writingMode: cue.direction == "rl" ? "tbrl" : "tblr"
+          }
+        }
+        attributes.displayAlign = displayAlign
+        return region(attributes)
+      }
+
+      function agent(name) {
+        var index = agents.indexOf(name)
+        if(index == -1) {
+          agents.push(name)
+          index = agents.length - 1
+        }
+        return "agent" + (index + 1)
+      }
+
+      function styleReferences(node) {
+        var ids = []
+        for(var i = 0; i < rules.length; i++) {
+          if(ruleMatches(rules[i], node)) {
+            ids.push("s" + (i + 1))
+            if(usedRules.indexOf(i) == -1)
+              usedRules.push(i)
+          }
+        }
+        return ids.length ? " style=\"" + ids.join(" ") + "\"" : ""
+      }
+
+      function serializeChildren(children) {
+        var result = ""
+        for(var i = 0; i < children.length; i++) {
+          var node = children[i]
+          if(node.type == "text") {
+            result += escapeXML(node.value).replace(/\n/g, "<br/>")
+          } else if(node.type == "timestamp") {
+            warn("ttml-timestamp-dropped", "Cue timestamps have no TTML equivalent and were dropped.", true)
+          } else if(node.name == "ruby") {
+            result += serializeRuby(node)
+          } else {
+            var attributes = styleReferences(node)
+            if(node.name == "i")
+              attributes += " tts:fontStyle=\"italic\""
+            else if(node.name == "b")
+              attributes += " tts:fontWeight=\"bold\""
+            else if(node.name == "u")
+              attributes += " tts:textDecoration=\"underline\""
+            else if(node.name == "v")
+              attributes += " ttm:agent=\"" + agent(node.value || "") + "\""
+            else if(node.name == "lang")
+              attributes += " xml:lang=\"" + escapeXML(node.value || "") + "\""
+            var content = serializeChildren(node.children || [])
+            result += attributes ? "<span" + attributes + ">" + content + "</span>" : content
+          }
+        }
+        return result
+      }
+
+      // A container for each base/annotation pair
+      function serializeRuby(node) {
+        var result = "",
+            pairs = webvtt.WebVTTRubyPairs(node)
+        for(var i = 0; i < pairs.length; i++) {
+          var pair = pairs[i]
+          if(pair.text) {
+            result += "<span tts:ruby=\"container\"" + styleReferences(node) + "><span tts:ruby=\"base\">" + serializeChildren(pair.base) + "</span>"
+              + "<span tts:ruby=\"text\"" + styleReferences(pair.text) + ">" + serializeChildren(pair.text.children || []) + "</span></span>"
+          } else {
+            warn("ttml-ruby-base-unannotated", "Ruby base text without annotation was kept as plain text.")
+            result += serializeChildren(pair.base)
+          }
+        }
+        return result
+      }
+
+      var body = ""
+      for(cueIndex = 0; cueIndex < cues.length; cueIndex++) {
+        var cue = cues[cueIndex],
+            id = ""
+        if(cue.id) {
+          if(/^[A-Za-z_][\w.\-]*$/.test(cue.id))
+            id = " xml:id=\"" + cue.id + "\""
+          else
+            warn("ttml-cue-id-invalid", "Cue identifier is not a valid xml:id and was dropped.")
+        }
+        if(cue.pauseOnExit)
+          warn("ttml-pause-on-exit-unsupported", "Pause on exit has no TTML equivalent.")
+        body += "      <p" + id + " begin=\"" + clockTime(cue.startTime) + "\" end=\"" + clockTime(cue.endTime) + "\""
+          + " region=\"" + cueRegion(cue) + "\" tts:textAlign=\"" + cue.alignment + "\">"
+          + serializeChildren(cue.tree ? cue.tree.children : []) + "</p>\n"
+      }
+      cueIndex = undefined
+
+      /* HEAD */
+      var head = "",
+          globalStyles = [],
+          usedStyles = ""
+      if(agents.length) {
+        head += "    <metadata>\n"
+        for(var i = 0; i < agents.length; i++) {
+          head += "      <ttm:agent xml:id=\"agent" + (i + 1) + "\" type=\"person\"><ttm:name type=\"full\">" + escapeXML(agents[i]) + "</ttm:name></ttm:agent>\n"
+        }
+        head += "    </metadata>\n"
+      }
+      for(i = 0; i < rules.length; i++) {
+        if(rules[i].global)
+          globalStyles.push("s" + (i + 1))
+        if(rules[i].global || usedRules.indexOf(i) != -1)
+          usedStyles += "      <style xml:id=\"s" + (i + 1) + "\"" + styleAttributes(rules[i].properties) + "/>\n"
+      }
+      if(usedStyles)
+        head += "    <styling>\n" + usedStyles + "    </styling>\n"
+      if(regions.length) {
+        head += "    <layout>\n"
+        for(i = 0; i < regions.length; i++) {
+          head += "      <region xml:id=\"" + regions[i][0] + "\"" + styleAttributes(regions[i][1]) + "/>\n"
+        }
+        head += "    </layout>\n"
+      }
+
+      var ttml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n"
+        + "<tt xmlns=\"" + TT + "\" xmlns:tts=\"" + TTS + "\" xmlns:ttm=\"" + TTM + "\" xmlns:ttp=\"" + TTP + "\""
+        + " ttp:contentProfiles=\"" + IMSC11_TEXT + "\" xml:lang=\"\">\n"
+        + (head ? "  <head>\n" + head + "  </head>\n" : "")
+        + "  <body" + (globalStyles.length ? " style=\"" + globalStyles.join(" ") + "\"" : "") + ">\n"
+        + "    <div>\n" + body + "    </div>\n"
+        + "  </body>\n"
+        + "</tt>\n"
+      return {ttml:ttml, warnings:warnings}
+    }
+
+    /* TTML -> WEBVTT
+       Returns {cues, styles, errors, warnings}, which WebVTTSerializer.serialize() takes. */
+    this.fromTTML = function(input) {
+      var errors = [],
+          warnings = [],
+          cues = [],
+          styleRules = [],
+          classNames = {},
+          inlineClasses = {},
+          styles = {},
+          regions = {},
+          agents = {},
+          frameRate = 30,
+          subFrameRate = 1,
+          tickRate = 1,
+          warnedOnce = {}
+      function err(code, message, line, col, endLine, endCol) {
+        var diagnostic = {code:code, severity:diagnostics[code], message:message, line:line, col:col, endLine:endLine, endCol:endCol}
+        if(diagnostic.severity == "error")
+          errors.push(diagnostic)
+        else
+          warnings.push(diagnostic)
+      }
+      // Reported on the start tag of element
+      function warn(code, message, element, once) {
+        if(once) {
+          if(warnedOnce[code])
+            return
+          warnedOnce[code] = true
+        }
+        err(code, message, element.line, element.col, element.endLine, element.endCol)
+      }
+
+      var root = parseXML(input, err)
+      if(!root || root.ns != TT || root.local != "tt") {
+        err("ttml-root-missing", "No TTML document. (Needs a <tt> root element.)", 1, 1, 1, 2)
+        return {cues:cues, styles:[], errors:errors, warnings:warnings}
+      }
+
+      /* PARAMETERS */
+      if(attr(root, TTP, "frameRate")) {
+        frameRate = parseFloat(attr(root, TTP, "frameRate"))
+        var multiplier = (attr(root, TTP, "frameRateMultiplier") || "1 1").split(/\s+/)
+        frameRate *= parseFloat(multiplier[0]) / parseFloat(multiplier[1])
+        tickRate = frameRate
+      }
+      if(attr(root, TTP, "subFrameRate"))
+        subFrameRate = parseFloat(attr(root, TTP, "subFrameRate"))
+      if(attr(root, TTP, "tickRate"))
+        tickRate = parseFloat(attr(root, TTP, "tickRate"))
+
+      function time(value, element) {
+        var m
+        if(value == undefined)
+          return
+        if((m = value.match(/^(\d{2,}):(\d{2}):(\d{2})(?:(\.\d+)|:(\d{2,})(?:\.(\d+))?)?$/)))
+          return parseInt(m[1], 10) * 3600 + parseInt(m[2], 10) * 60 + parseInt(m[3], 10)
+            + (m[4] ? parseFloat(m[4]) : 0)
+            + (m[5] ? (parseInt(m[5], 10) + (m[6] ? parseInt(m[6], 10) / subFrameRate : 0)) / frameRate : 0)
+        if((m = value.match(/^(\d+(?:\.\d+)?)(h|m|s|ms|f|t)$/))) {
+          var count = parseFloat(m[1])
+          return {h:count * 3600, m:count * 60, s:count, ms:count / 1000, f:count / frameRate, t:count / tickRate}[m[2]]
+        }
+        warn("ttml-time-expression-invalid", "Time expression \"" + value + "\" is not understood.", element)
+      }
+
+      /* HEAD */
+      var head = childElements(root, TT, "head")[0]
+      if(head) {
+        childElements(head, TT, "styling").forEach(function(styling) {
+          childElements(styling, TT, "style").forEach(function(style) {
+            var id = attr(style, XML, "id")
+            if(id)
+              styles[id] = style
+          })
+        })
+        childElements(head, TT, "layout").forEach(function(layout) {
+          childElements(layout, TT, "region").forEach(function(region) {
+            var id = attr(region, XML, "id")
+            if(id)
+              regions[id] = region
+          })
+        })
+        childElements(head, TT, "metadata").forEach(function(metadata) {
+          childElements(metadata, TTM, "agent").forEach(function(agent) {
+            var id = attr(agent, XML, "id"),
+                name = childElements(agent, TTM, "name")[0]
+            if(id)
+              agents[id] = name ? textContent(name).trim() : id
+          })
+        })
+      }
+
+      function textContent(element) {
+        return element.children.map(function(child) {
+          return typeof child == "string" ? child : textContent(child)
+        }).join("")
+      }
+
+      // The tts: attributes an element specifies, through style references and inline
+      function specifiedStyle(element, seen) {
+        var result = {},
+            references = (attr(element, "", "style") || "").split(/\s+/).filter(Boolean)
+        seen = seen || []
+        for(var i = 0; i < references.length; i++) {
+          if(!styles[references[i]]) {
+            warn("ttml-style-undefined", "Style \"" + references[i] + "\" is not defined.", element)
+          } else if(seen.indexOf(references[i]) == -1) {
+            Object.assign(result, specifiedStyle(styles[references[i]], seen.concat(references[i])))
+          }
+        }
+        for(var key in element.attributes) {
+          if(key.indexOf(TTS + "|") == 0)
+            result[key.slice(TTS.length + 1)] = element.attributes[key]
+        }
+        return result
+      }
+
+      function className(id) {
+        if(!classNames[id])
+          classNames[id] = id.replace(/[\s.&<>]+/g, "-")
+        return classNames[id]
+      }
+
+      // Style properties become a class with a matching ::cue() rule
+      function styleClass(properties, element, references) {
+        var css = "",
+            id
+        for(var property in properties) {
+          var mapping = ttsToCSS[property],
+              value = mapping && (mapping[1] ? mapping[1](properties[property]) : properties[property])
+          if(value == undefined) {
+            warn("ttml-style-property-unsupported", "Style property tts:" + property + "=\"" + properties[property] + "\" has no WebVTT equivalent.", element)
+            continue
+          }
+          css += " " + mapping[0] + ": " + value + ";"
+        }
+        if(!css)
+          return ""
+        if(references.length) {
+          id = references.join("-")
+        } else {
+          // the same inline styles share a class
+          if(!inlineClasses[css])
+            inlineClasses[css] = "inline" + (Object.keys(inlineClasses).length + 1)
+          id = inlineClasses[css]
+        }
+        var name = className(id),
+            rule = "::cue(." + name + ") {" + css + " }"
+        if(styleRules.indexOf(rule) == -1)
+          styleRules.push(rule)
+        return name
+      }
+
+      /* CONTENT
+         Each <p> becomes a cue; styles of spans become <i>, <b>, <u> and classes. */
+      function convertContent(element, preserve, context) {
+        var result = ""
+        for(var i = 0; i < element.children.length; i++) {
+          var child = element.children[i]
+          if(typeof child == "string") {
+            result += escapeCueText(preserve ? child : child.replace(/[ \t\r\n]+/g, " "))
+            continue
+          }
+          if(child.ns != TT) {
+            continue
+          }
+          if(child.local == "br") {
+            result += "\n"
+          } else if(child.local == "span") {
+            result += convertSpan(child, preserve, context)
+          } else if(child.local == "metadata") {
+            continue
+          } else {
+            warn("ttml-element-unsupported", "Element <" + child.local + "> has no WebVTT equivalent and was dropped.", child)
+          }
+        }
+        return result
+      }
+
+      function convertSpan(span, preserve, context) {
+        var properties = Object.assign({}, specifiedStyle(span)),
+            references = (attr(span, "", "style") || "").split(/\s+/).filter(Boolean),
+            space = attr(span, XML, "space"),
+            begin = time(attr(span, "", "begin"), span),
+            before = "",
+            open = "",
+            close = ""
+        if(space)
+          preserve = space == "preserve"
+        if(begin != undefined) {
+          begin += context.begin
+          if(begin > context.cueStart && begin < context.cueEnd)
+            before = "<" + clockTime(begin) + ">"
+          if(attr(span, "", "end") || attr(span, "", "dur"))
+            warn("ttml-span-end-unsupported", "Span end times have no WebVTT equivalent.", span, true)
+        }
+
+        // Only meaningful for paragraphs and regions
+        delete properties.textAlign
+        delete properties.displayAlign
+
+        /* Ruby */
+        var ruby = properties.ruby
+        delete properties.ruby
+        if(ruby == "container") {
+          open += "<ruby>"
+          close = "</ruby>" + close
+        } else if(ruby == "text") {
+          open += "<rt>"
+          close = "</rt>" + close
+        }
+
+        if(properties.fontStyle == "italic" || properties.fontStyle == "oblique") {
+          delete properties.fontStyle
+          open += "<i>"
+          close = "</i>" + close
+        }
+        if(properties.fontWeight == "bold") {
+          delete properties.fontWeight
+          open += "<b>"
+          close = "</b>" + close
+        }
+        if(properties.textDecoration == "underline") {
+          delete properties.textDecoration
+          open += "<u>"
+          close = "</u>" + close
+        }
+        var name = styleClass(properties, span, references)
+        if(name) {
+          open += "<c." + name + ">"
+          close = "</c>" + close
+        }
+        if(attr(span, TTM, "agent")) {
+          var agent = attr(span, TTM, "agent")
+          open += "<v " + (agents[agent] || agent).replace(/>/g, "") + ">"
+          close = "</v>" + close
+        }
+        if(attr(span, XML, "lang") != undefined) {
+          open += "<lang " + attr(span, XML, "lang") + ">"
+          close = "</lang>" + close
+        }
+        return before + open + convertContent(span, preserve, context) + close
+      }
+
+      function convertRegion(cue, region, textAlign) {
+        var properties = specifiedStyle(region),
+            origin = (properties.origin || "0% 0%").split(/\s+/),
+            extent = (properties.extent || "100% 100%").split(/\s+/)
+        if(!/%$/.test(origin[0]) || !/%$/.test(origin[1]) || !/%$/.test(extent[0]) || !/%$/.test(extent[1])) {
+          warn("ttml-region-units-unsupported", "Only percentages are supported for region origin and extent.", region, true)
+          return
+        }
+        var x = parseFloat(origin[0]),
+            y = parseFloat(origin[1]),
+            w = parseFloat(extent[0]),
+            h = parseFloat(extent[1]),
+            displayAlign = properties.displayAlign || "before",
+            writingMode = properties.writingMode || "lrtb",
+            size = w,
+            start = x,
+            lineStart = y,
+            lineExtent = h
+        if(writingMode == "tbrl" || writingMode == "tblr" || writingMode == "tb") {
+          cue.direction = writingMode == "tblr" ? "lr" : "rl"
+          size = h
+          start = y
+          lineStart = cue.direction == "rl" ? 100 - x - w : x
+          lineExtent = w
+        }
+        var lineEnd = lineStart + lineExtent
+
+        cue.size = +size.toFixed(2)
+        if(start > 0 || size < 100) {
+          if(textAlign == "left" || textAlign == "start") {
+            cue.textPosition = +start.toFixed(2)
+            cue.positionAlign = "line-left"
+          } else if(textAlign == "right" || textAlign == "end") {
+            cue.textPosition = +(start + size).toFixed(2)
+            cue.positionAlign = "line-right"
+          } else {
+            cue.textPosition = +(start + size / 2).toFixed(2)
+            cue.positionAlign = "center"
+          }
+        }
+        var vertical = cue.direction != "horizontal"
+        if(lineStart <= 0 && lineEnd >= 100 && displayAlign == (vertical ? "before" : "after")) {
+          return
+        }
+        cue.snapToLines = false
+        if(displayAlign == "after") {
+          cue.linePosition = +lineEnd.toFixed(2)
+          cue.lineAlign = "end"
+        } else if(displayAlign == "center") {
+          cue.linePosition = +(lineStart + lineExtent / 2).toFixed(2)
+          cue.lineAlign = "center"
+        } else {
+          cue.linePosition = +lineStart.toFixed(2)
+          cue.lineAlign = "start"
+        }
+        for(var property in properties) {
+          if(["origin", "extent", "displayAlign", "writingMode", "textAlign", "showBackground"].indexOf(property) == -1)
+            warn("ttml-region-style-unsupported", "Region style tts:" + property + " has no WebVTT equivalent.", region, true)
+        }
+      }
+
+      function convertParagraph(p, context) {
+        var begin = time(attr(p, "", "begin"), p),
+            end = time(attr(p, "", "end"), p),
+            dur = time(attr(p, "", "dur"), p),
+            startTime = context.begin + (begin || 0),
+            endTime = dur != undefined ? startTime + dur : end != undefined ? context.begin + end : context.end
+        endTime = Math.min(endTime, context.end)
+        if(!isFinite(endTime)) {
+          warn("ttml-paragraph-end-missing", "Paragraph without an end time was dropped.", p)
+          return
+        }
+        var cue = {
+          direction:"horizontal",
+          snapToLines:true,
+          linePosition:"auto",
+          lineAlign:"start",
+          textPosition:"auto",
+          positionAlign:"auto",
+          size:100,
+          alignment:"center",
+          id:attr(p, XML, "id") || "",
+          startTime:startTime,
+          endTime:endTime,
+          pauseOnExit:false,
+          region:null,
+          text:"",
+          tree:null
+        }
+        var properties = Object.assign({}, context.style, specifiedStyle(p)),
+            textAlign = properties.textAlign || "center",
+            regionId = attr(p, "", "region") || context.region,
+            space = attr(p, XML, "space")
+        if(["start", "center", "end", "left", "right"].indexOf(textAlign) != -1) {
+          cue.alignment = textAlign
+        } else {
+          warn("ttml-text-align-unsupported", "Text alignment \"" + textAlign + "\" has no WebVTT equivalent.", p, true)
+        }
+        if(regionId) {
+          if(regions[regionId])
+            convertRegion(cue, regions[regionId], textAlign)
+          else
+            warn("ttml-region-undefined", "Region \"" + regionId + "\" is not defined.", p)
+        }
+
+        // The paragraph's own styles and agent are converted like those of a span around its text
+        var span = {children:p.children, attributes:{}, line:p.line, col:p.col}
+        for(var key in p.attributes) {
+          if(key == "|style" || key == TTM + "|agent" || key.indexOf(TTS + "|") == 0)
+            span.attributes[key] = p.attributes[key]
+        }
+        var text = convertSpan(span, space ? space == "preserve" : context.preserve,
+          {begin:startTime, cueStart:startTime, cueEnd:endTime})
+        if(!context.preserve && space != "preserve") {
+          // spaces at the start and end of lines, looking through tags
+          text = text.replace(/^((?:<[^>]*>)*) +/, "$1").replace(/ +((?:<[^>]*>)*)$/, "$1")
+            .replace(/ +((?:<[^>]*>)*)\n/g, "$1\n").replace(/\n((?:<[^>]*>)*) +/g, "\n$1")
+        }
+        cue.text = text
+        cue.tree = new webvtt.WebVTTCueTextParser(cue.text, function(code) {
+          warn("ttml-cue-text-invalid", "Converted text: " + webvtt.WebVTTDiagnostics[code].message, p)
+        }, undefined, entities).parse(cue.startTime, cue.endTime)
+        cues.push(cue)
+      }
+
+      function walk(element, context) {
+        var begin = time(attr(element, "", "begin"), element),
+            end = time(attr(element, "", "end"), element),
+            dur = time(attr(element, "", "dur"), element),
+            space = attr(element, XML, "space"),
+            start = context.begin + (begin || 0)
+        if(attr(element, "", "timeContainer") == "seq")
+          warn("ttml-time-container-seq", "Sequential time containers are treated as parallel ones.", element, true)
+        context = {
+          begin:start,
+          end:Math.min(context.end, dur != undefined ? start + dur : end != undefined ? context.begin + end : Infinity),
+          region:attr(element, "", "region") || context.region,
+          style:Object.assign({}, context.style, specifiedStyle(element)),
+          preserve:space ? space == "preserve" : context.preserve
+        }
+        var children = childElements(element, TT)
+        for(var i = 0; i < children.length; i++) {
+          if(children[i].local == "div")
+            walk(children[i], context)
+          else if(children[i].local == "p")
+            convertParagraph(children[i], context)
+          else if(children[i].local != "metadata")
+            warn("ttml-element-unsupported", "Element <" + children[i].local + "> has no WebVTT equivalent and was dropped.", children[i])
+        }
+      }
+
+      var body = childElements(root, TT, "body")[0]
+      if(body) {
+        var bodyStyle = specifiedStyle(body),
+            global = {}
+        for(var property in bodyStyle) {
+          if(property != "textAlign")
+            global[property] = bodyStyle[property]
+        }
+        if(Object.keys(global).length) {
+          var css = ""
+          for(property in global) {
+            var mapping = ttsToCSS[property],
+                value = mapping && (mapping[1] ? mapping[1](global[property]) : global[property])
+            if(value == undefined)
+              warn("ttml-style-property-unsupported", "Style property tts:" + property + "=\"" + global[property] + "\" has no WebVTT equivalent.", body)
+            else
+              css += " " + mapping[0] + ": " + value + ";"
+          }
+          if(css)
+            styleRules.push("::cue {" + css + " }")
+        }
+        walk(body, {begin:0, end:Infinity, region:undefined, style:{textAlign:bodyStyle.textAlign}, preserve:false})
+      }
+
+      cues.sort(function(a, b) {
+        return a.startTime - b.startTime || b.endTime - a.endTime
+      })
+      return {cues:cues, styles:styleRules.length ? [styleRules.join("\n")] : [], errors:errors, warnings:warnings}
+    }
+  }
+
+  function exportify(object) {
+    object.TTMLConverter = TTMLConverter
+  }
+  if (typeof window !== 'undefined') exportify(window);
+  if (typeof exports !== 'undefined') exportify(exports);
+})()